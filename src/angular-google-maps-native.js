@@ -4,46 +4,328 @@
   var googleMap, // will be set when library will be loaded (used to reduce code weight when minifying)
     services,
     $q, $parse, $timeout,
+    geocoding, // geocoder options, cache, pending requests and queue, will be set by gmLibrary
     forEach = angular.forEach,
     isDefined = angular.isDefined,
     lowercase = angular.lowercase,
     gmAddress = 'gmAddress';
 
 
+  /**
+   * Create a google.maps service
+   * @param name {string} class name, may be a path in google.maps (ie: places.PlacesService)
+   * @param target {*} (optional) constructor argument (ie: map for PlacesService)
+   * @return {google.maps.Service|undefined}
+   */
+  function service(name, target) {
+    var cls = googleMap;
+    forEach(name.split('.'), function (part) {
+      cls = cls ? cls[part] : undefined;
+    });
+    return cls ? new cls(target) : undefined;
+  }
+
   /**
    * Handle google.maps services as singleton
-   * @param name {string}
+   * Services bound to a map are handled by the gmMap controller (see gmMap service)
+   * @param name {string} class name, may be a path in google.maps
    * @return {google.maps.Service}
    */
   services = (function () {
     var instances = {};
     return function (name) {
-      if (!instances.hasOwnProperty(name) && googleMap[name]) {
-        instances[name] = new googleMap[name];
+      if (!instances[name]) {
+        instances[name] = service(name);
       }
       return instances[name];
     };
   }());
 
   /**
-   * A service for converting between an address and a LatLng.
+   * In memory LRU cache
+   * @param size {number} maximum number of entries
+   * @returns {object} {get(key), put(key, value)}
+   */
+  function lru(size) {
+    var keys = [],
+      values = {};
+
+    function touch(key) {
+      var index = keys.indexOf(key);
+      if (index !== -1) {
+        keys.splice(index, 1);
+      }
+      keys.push(key);
+    }
+
+    return {
+      get: function (key) {
+        if (values.hasOwnProperty(key)) {
+          touch(key);
+          return values[key];
+        }
+      },
+      put: function (key, value) {
+        touch(key);
+        values[key] = value;
+        while (keys.length > size) {
+          delete values[keys.shift()];
+        }
+      }
+    };
+  }
+
+  /**
+   * Storage (ie: localStorage) backed cache of geocoder results, entries expire after ttl
+   * @param storage {Storage}
+   * @param ttl {number} time to live in milliseconds
+   * @returns {object} {get(key), put(key, results)}
+   */
+  function storageCache(storage, ttl) {
+    var prefix = 'gmGeocoder:';
+
+    /**
+     * Restore LatLng and LatLngBounds of stored results
+     * @param geometry {object}
+     */
+    function revive(geometry) {
+      forEach(['bounds', 'viewport'], function (name) {
+        var value = geometry[name];
+        if (value) {
+          geometry[name] = new googleMap.LatLngBounds(toLatLng([value.south, value.west]), toLatLng([value.north, value.east]));
+        }
+      });
+      geometry.location = toLatLng(geometry.location);
+    }
+
+    return {
+      get: function (key) {
+        var entry;
+        try {
+          entry = JSON.parse(storage.getItem(prefix + key));
+        } catch (e) {}
+        if (entry && entry.time + ttl > Date.now()) {
+          forEach(entry.results, function (result) {
+            if (result.geometry) {
+              revive(result.geometry);
+            }
+          });
+          return entry.results;
+        }
+        if (entry) {
+          storage.removeItem(prefix + key);
+        }
+      },
+      put: function (key, results) {
+        try {
+          storage.setItem(prefix + key, JSON.stringify({time: Date.now(), results: results}, function (name, value) {
+            if (value instanceof googleMap.LatLng) {
+              return {lat: value.lat(), lng: value.lng()};
+            }
+            if (value instanceof googleMap.LatLngBounds) {
+              return {
+                north: value.getNorthEast().lat(),
+                east: value.getNorthEast().lng(),
+                south: value.getSouthWest().lat(),
+                west: value.getSouthWest().lng()
+              };
+            }
+            return value;
+          }));
+        } catch (e) {} // storage full or not available
+      }
+    };
+  }
+
+  /**
+   * Build the geocoder cache from the gmLibrary "geocoder" options
+   * @param options {object}
+   *          .cache   {number|object|boolean} LRU size (true: 100, coerced to a non-negative integer),
+   *                   custom cache {get(key), put(key, results)} or false / 0 to disable
+   *          .storage {boolean|Storage} true to use localStorage or a Storage like object
+   *          .ttl     {number} time to live of stored results (milliseconds)
+   * @param $window {Window}
+   * @returns {object|undefined} {get(key), put(key, results)}
+   */
+  function cache(options, $window) {
+    var size,
+      caches = [],
+      storage = options.storage === true ? $window.localStorage : options.storage;
+    if (angular.isObject(options.cache)) {
+      caches.push(options.cache);
+    } else {
+      size = options.cache === true ? 100 : Math.max(0, Math.floor(toNumber(options.cache) || 0));
+      if (size) {
+        caches.push(lru(size));
+      }
+    }
+    if (storage) {
+      caches.push(storageCache(storage, options.ttl));
+    }
+    if (caches.length) {
+      return {
+        get: function (key) {
+          var result;
+          forEach(caches, function (item, index) {
+            if (!result) {
+              result = item.get(key);
+              if (result && index) { // found in a slower cache, keep it in the faster ones
+                caches[0].put(key, result);
+              }
+            }
+          });
+          return result;
+        },
+        put: function (key, results) {
+          forEach(caches, function (item) {
+            item.put(key, results);
+          });
+        }
+      };
+    }
+  }
+
+  /**
+   * Return a key identifying a geocoder request
    * @param request {GeocoderRequest}
-   * @returns {Promise}
+   * @returns {string}
+   */
+  function requestKey(request) {
+    return JSON.stringify(request, function (name, value) {
+      if (value instanceof googleMap.LatLng) {
+        return [value.lat(), value.lng()];
+      }
+      if (value instanceof googleMap.LatLngBounds) {
+        return [value.getNorthEast(), value.getSouthWest()];
+      }
+      return value;
+    });
+  }
+
+  /**
+   * Run the queued geocoder requests while concurrency and rate limits allow it
+   */
+  function dequeue() {
+    var task,
+      options = geocoding.options;
+    while (!geocoding.throttled && geocoding.queue.length && geocoding.running < options.concurrency) {
+      task = geocoding.queue.shift();
+      geocoding.running++;
+      if (options.rate) { // wait before starting the next request to respect the requests per second limit
+        geocoding.throttled = true;
+        $timeout(function () {
+          geocoding.throttled = false;
+          dequeue();
+        }, 1000 / options.rate, false);
+      }
+      run(task);
+    }
+  }
+
+  /**
+   * Send a geocoder request, retry it with an exponential backoff on OVER_QUERY_LIMIT / UNKNOWN_ERROR
+   * @param task {object}
    */
-  function geocode(request) {
-    var deferred = $q.defer();
+  function run(task) {
+    var state = geocoding;
     services('Geocoder').geocode(
-      angular.isString(request) ? {address: request} : request,
+      task.request,
       function (results, status) {
-        if (status === googleMap.GeocoderStatus.OK) {
-          deferred.resolve(results[0].geometry.location, results);
-        }  else {
-          error("geocode: " + status);
-          deferred.reject();
+        var options = state.options;
+        state.running--;
+        if (!task.done) {
+          if ((status === googleMap.GeocoderStatus.OVER_QUERY_LIMIT || status === googleMap.GeocoderStatus.UNKNOWN_ERROR) && task.attempt < options.retries) {
+            task.timer = $timeout(function () {
+              task.timer = undefined;
+              state.queue.unshift(task);
+              dequeue();
+            }, options.backoff * Math.pow(2, task.attempt++), false);
+          } else {
+            task.done = true;
+            delete state.pending[task.key];
+            if (status === googleMap.GeocoderStatus.OK) {
+              if (state.cache) {
+                state.cache.put(task.key, results);
+              }
+              task.deferred.resolve(results);
+            } else {
+              task.deferred.reject(status);
+            }
+          }
+        }
+        if (state === geocoding) {
+          dequeue();
         }
       }
     );
-    return deferred.promise;
+  }
+
+  /**
+   * Cancel a pending geocoder request
+   * @param task {object}
+   */
+  function cancel(task) {
+    var index = geocoding.queue.indexOf(task);
+    if (!task.done) {
+      task.done = true;
+      if (index !== -1) {
+        geocoding.queue.splice(index, 1);
+      }
+      if (task.timer) {
+        $timeout.cancel(task.timer);
+      }
+      delete geocoding.pending[task.key];
+      task.deferred.reject('CANCELLED');
+    }
+  }
+
+  /**
+   * Run a geocoder request
+   * Results are cached, identical pending requests are shared and requests are queued
+   * @param request {GeocoderRequest}
+   * @param scope {Scope} (optional) owner of the request, the request is cancelled when all its owners are destroyed
+   * @returns {Promise} resolved with the results array, rejected with the GeocoderStatus (or CANCELLED)
+   */
+  function geocoder(request, scope) {
+    var key, cached, task;
+    request = angular.extend({}, request);
+    if (isDefined(request.bounds)) {
+      request.bounds = toLatLngBounds(request.bounds);
+    }
+    if (isDefined(request.location)) {
+      request.location = toLatLng(request.location);
+    }
+    key = requestKey(request);
+    cached = geocoding.cache ? geocoding.cache.get(key) : undefined;
+    if (cached) {
+      return $q.when(cached);
+    }
+    task = geocoding.pending[key];
+    if (!task) {
+      task = geocoding.pending[key] = {
+        key: key,
+        request: request,
+        deferred: $q.defer(),
+        attempt: 0,
+        owners: 0,
+        anonymous: false
+      };
+      geocoding.queue.push(task);
+      dequeue();
+    }
+    if (scope) {
+      task.owners++;
+      // the listener is useless once the task is settled
+      task.deferred.promise['finally'](scope.$on('$destroy', function () {
+        task.owners--;
+        if (!task.anonymous && !task.owners) {
+          cancel(task);
+        }
+      }));
+    } else {
+      task.anonymous = true; // can not be cancelled
+    }
+    return task.deferred.promise;
   }
 
   /**
@@ -55,6 +337,33 @@
     }
   }
 
+  /**
+   * Message reported when a google maps library is missing
+   * @param library {string} (ie: places)
+   * @returns {string}
+   */
+  function missingLibrary(library) {
+    return 'google.maps.' + library + ' library not found, add it using gmLibraryProvider.configure({libraries: [\'' + library + '\']})';
+  }
+
+  /**
+   * Require a library from a directive factory
+   * Directive factories are called while compiling, so, usually before gmMap loads google maps
+   * Once google maps started loading (ie: directive first compiled in a ng-if or a lazy loaded route), the library
+   * can not be added anymore, so an error is reported: it must be declared using gmLibraryProvider.configure({libraries: [...]})
+   * @param gmLibrary {object} gmLibrary service
+   * @param directive {string} directive name (ie: gm-places)
+   * @param library {string} (ie: places)
+   * @returns {boolean} false if the library will not be available
+   */
+  function requireLibrary(gmLibrary, directive, library) {
+    if (!gmLibrary.require(library) && !(googleMap && googleMap[library])) {
+      error(directive + ': google maps is already loading, ' + missingLibrary(library));
+      return false;
+    }
+    return true;
+  }
+
 
   /**
    * Create an expression based on ngShow and ngHide to evaluate visibility
@@ -87,17 +396,71 @@
   }
 
 
+  /**
+   * Return the geometry of a GeoJSON geometry or Feature
+   * @param mixed {*}
+   * @returns {object|undefined}
+   */
+  function toGeometry(mixed) {
+    if (angular.isObject(mixed) && !angular.isArray(mixed)) {
+      if (mixed.type === 'Feature') {
+        return toGeometry(mixed.geometry);
+      }
+      if (angular.isString(mixed.type) && angular.isArray(mixed.coordinates)) {
+        return mixed;
+      }
+    }
+  }
+
+  /**
+   * Convert GeoJSON positions ([lng, lat]) to a list of google.maps.LatLng
+   * @param positions {Array}
+   * @param ring {boolean} (optional, default = false) remove the closing position of a linear ring
+   * @returns {Array}
+   */
+  function fromPositions(positions, ring) {
+    var result = [];
+    forEach(positions, function (position) {
+      result.push(toLatLng([position[1], position[0]]));
+    });
+    if (ring && result.length > 1 && same(result[0], result[result.length - 1])) {
+      result.pop();
+    }
+    return result;
+  }
+
+  /**
+   * Convert a list of google.maps.LatLng to GeoJSON positions ([lng, lat])
+   * @param path {Array|MVCArray}
+   * @param ring {boolean} (optional, default = false) close the linear ring
+   * @returns {Array}
+   */
+  function toPositions(path, ring) {
+    var result = [];
+    forEach(toArray(path), function (latLng) {
+      result.push([latLng.lng(), latLng.lat()]);
+    });
+    if (ring && result.length && !angular.equals(result[0], result[result.length - 1])) {
+      result.push(result[0].slice());
+    }
+    return result;
+  }
+
   /**
    * Convert mix LatLng to a new google.maps.LatLng
-   * @param mixed {*} LatLng, [lat, lng], {lat: number, lng: number}
+   * @param mixed {*} LatLng, [lat, lng], {lat: number, lng: number}, GeoJSON Point or Feature
    * @param returnMixed {boolean} (optional, default = false) if true and no result, return mixed
    * @returns {LatLng|*|undefined}
    */
   function toLatLng(mixed) {
-    var lat, lng, result;
+    var lat, lng, result,
+      geometry = toGeometry(mixed);
     if (mixed instanceof googleMap.LatLng) {
       return mixed;
     }
+    if (geometry) {
+      return geometry.type === 'Point' ? fromPositions([geometry.coordinates])[0] : undefined;
+    }
     if (angular.isArray(mixed)) {
       lat = toNumber(mixed[0]);
       lng = toNumber(mixed[1]);
@@ -111,18 +474,61 @@
     return result;
   }
 
+  /**
+   * Convert a list of points or weighted points to heatmap data
+   * @param data {Array|MVCArray} list of mixed LatLng or {location: mixed LatLng, weight: number}
+   * @returns {Array} list of google.maps.LatLng or {location: google.maps.LatLng, weight: number}
+   */
+  function toWeightedLocations(data) {
+    var result = [];
+    forEach(toArray(data), function (item) {
+      var weighted;
+      if (angular.isObject(item) && 'location' in item) {
+        weighted = {location: toLatLng(item.location)};
+        if (isDefined(item.weight)) {
+          weighted.weight = toNumber(item.weight);
+        }
+        result.push(weighted);
+      } else {
+        result.push(toLatLng(item));
+      }
+    });
+    return result;
+  }
+
   /**
    * Convert mixed bounds to google.maps.LatLngBounds (NE, SW)
-   * [LatLng, LatLng], [lat 1, lng 1, lat 2, lng 2], [latLng1, latLng2], {ne: LatLng, sw: LatLng}, {n:number, e:number, s:number, w:number}
+   * [LatLng, LatLng], [lat 1, lng 1, lat 2, lng 2], [latLng1, latLng2], {ne: LatLng, sw: LatLng}, {n:number, e:number, s:number, w:number},
+   * GeoJSON geometry or Feature (using its bbox if provided)
    * @param mixed {*}
    * @returns {*}
    */
   function toLatLngBounds(mixed) {
-    var ne, sw, result;
+    var ne, sw, n, e, s, w, bbox, result,
+      geometry = toGeometry(mixed);
     if (!mixed || mixed instanceof googleMap.LatLngBounds) {
       return mixed || undefined;
     }
-    if (angular.isArray(mixed)) {
+    if (geometry) {
+      bbox = mixed.bbox || geometry.bbox;
+      if (angular.isArray(bbox)) { // [west, south, east, north]
+        ne = toLatLng([bbox[3], bbox[2]]);
+        sw = toLatLng([bbox[1], bbox[0]]);
+      } else {
+        (function extend(coordinates) {
+          if (angular.isNumber(coordinates[0])) {
+            n = isDefined(n) ? Math.max(n, coordinates[1]) : coordinates[1];
+            s = isDefined(s) ? Math.min(s, coordinates[1]) : coordinates[1];
+            e = isDefined(e) ? Math.max(e, coordinates[0]) : coordinates[0];
+            w = isDefined(w) ? Math.min(w, coordinates[0]) : coordinates[0];
+          } else {
+            forEach(coordinates, extend);
+          }
+        }(geometry.coordinates));
+        ne = toLatLng([n, e]);
+        sw = toLatLng([s, w]);
+      }
+    } else if (angular.isArray(mixed)) {
       if (mixed.length === 2) {
         ne = toLatLng(mixed[0]);
         sw = toLatLng(mixed[1]);
@@ -145,133 +551,703 @@
     return result;
   }
 
+  /**
+   * Decode an encoded polyline string (Google polyline algorithm, precision 5)
+   * Does not require the geometry library
+   * @param encoded {string}
+   * @returns {Array} list of [lat, lng]
+   */
+  function decodePath(encoded) {
+    var index = 0,
+      lat = 0,
+      lng = 0,
+      result = [];
+
+    function next() {
+      var byte,
+        shift = 0,
+        value = 0;
+      do {
+        byte = encoded.charCodeAt(index++) - 63;
+        value |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20 && index < encoded.length);
+      return value & 1 ? ~(value >> 1) : value >> 1;
+    }
+
+    encoded = encoded || '';
+    while (index < encoded.length) {
+      lat += next();
+      lng += next();
+      result.push([lat / 1e5, lng / 1e5]);
+    }
+    return result;
+  }
 
   /**
-   * Lower first character
-   * @param str {string}
+   * Encode a signed value of the polyline algorithm
+   * @param value {number} integer
    * @returns {string}
    */
-  function lcfirst(str) {
-    str += '';
-    return lowercase(str.charAt(0)) + str.substr(1);
+  function encodeValue(value) {
+    var result = '';
+    value = value < 0 ? ~(value << 1) : value << 1;
+    while (value >= 0x20) {
+      result += String.fromCharCode((0x20 | (value & 0x1f)) + 63);
+      value >>= 5;
+    }
+    return result + String.fromCharCode(value + 63);
   }
 
+  /**
+   * Read the coordinates of a mixed LatLng, does not require google maps to be loaded
+   * @param mixed {*} LatLng, [lat, lng], {lat: number, lng: number}, GeoJSON Point or Feature
+   * @returns {Array|undefined} [lat, lng]
+   */
+  function toCoordinates(mixed) {
+    var lat, lng,
+      geometry = toGeometry(mixed);
+    if (geometry) {
+      return geometry.type === 'Point' ? toCoordinates([geometry.coordinates[1], geometry.coordinates[0]]) : undefined;
+    }
+    if (angular.isArray(mixed)) {
+      lat = toNumber(mixed[0]);
+      lng = toNumber(mixed[1]);
+    } else if (mixed && angular.isFunction(mixed.lat) && angular.isFunction(mixed.lng)) {
+      lat = mixed.lat();
+      lng = mixed.lng();
+    } else if (angular.isObject(mixed)) {
+      lat = toNumber(mixed.lat);
+      lng = toNumber(mixed.lng);
+    }
+    if (isDefined(lat) && isDefined(lng)) {
+      return [lat, lng];
+    }
+  }
 
   /**
-   * Capitalise first character
-   * @param str {string}
+   * Encode a path to an encoded polyline string (Google polyline algorithm, precision 5)
+   * Does not require google maps to be loaded
+   * @param path {Array|MVCArray|object|string} list of mixed LatLng, GeoJSON LineString, Polygon (outer boundary), Feature or encoded polyline
    * @returns {string}
    */
-  function ucfirst(str) {
-    str += '';
-    return str.charAt(0).toUpperCase() + str.substr(1);
+  function encodePath(path) {
+    var points,
+      result = '',
+      lat = 0,
+      lng = 0,
+      geometry = toGeometry(path);
+    if (angular.isString(path)) {
+      points = decodePath(path);
+    } else if (geometry) {
+      points = [];
+      if (geometry.type === 'LineString' || geometry.type === 'Polygon') {
+        forEach(geometry.type === 'Polygon' ? geometry.coordinates[0] : geometry.coordinates, function (position) {
+          points.push([position[1], position[0]]);
+        });
+        // as toPath, the closing position of the outer boundary is removed
+        if (geometry.type === 'Polygon' && points.length > 1 && angular.equals(points[0], points[points.length - 1])) {
+          points.pop();
+        }
+      }
+    } else {
+      points = [];
+      forEach(toArray(path), function (value) {
+        var coordinates = toCoordinates(value);
+        if (coordinates) {
+          points.push(coordinates);
+        }
+      });
+    }
+    forEach(points, function (point) {
+      var nextLat = Math.round(point[0] * 1e5),
+        nextLng = Math.round(point[1] * 1e5);
+      result += encodeValue(nextLat - lat) + encodeValue(nextLng - lng);
+      lat = nextLat;
+      lng = nextLng;
+    });
+    return result;
   }
 
   /**
-   * Return a function only runable only once
-   * http://davidwalsh.name/javascript-once
-   * @param fn {function}
-   * @param context {object} (optional)
-   * @returns {Function}
+   * Convert a path to an array of google.maps.LatLng
+   * @param path {Array|MVCArray|object|string} list of mixed LatLng, GeoJSON LineString, Polygon (outer boundary), Feature or encoded polyline
+   * @returns {Array}
    */
-  function once(fn, context) {
-    var result;
-    return function () {
-      if (fn) {
-        result = fn.apply(context || this, arguments);
-        fn = null;
+  function toPath(path) {
+    var result = [],
+      geometry = toGeometry(path);
+    if (angular.isString(path)) {
+      path = decodePath(path);
+    }
+    if (geometry) {
+      if (geometry.type === 'LineString') {
+        return fromPositions(geometry.coordinates);
+      }
+      if (geometry.type === 'Polygon') {
+        return fromPositions(geometry.coordinates[0], true);
       }
       return result;
-    };
+    }
+    forEach(toArray(path), function (value) {
+      result.push(toLatLng(value));
+    });
+    return result;
   }
 
+  /**
+   * Compute the signed area of a path (positive if counterclockwise)
+   * @param path {Array} list of google.maps.LatLng
+   * @returns {number}
+   */
+  function signedArea(path) {
+    var result = 0;
+    forEach(path, function (latLng, index) {
+      var next = path[(index + 1) % path.length];
+      if (latLng && next) {
+        result += latLng.lng() * next.lat() - next.lng() * latLng.lat();
+      }
+    });
+    return result / 2;
+  }
 
   /**
-   * Convert an attribute normalized to a google event: onContentChanged => content_changed
-   * @param attribute
+   * Wind the holes (all paths but the first one) in the opposite direction of the outer boundary (first path)
+   * @param paths {Array} list of paths of google.maps.LatLng
+   * @returns {Array}
    */
-  function eventName(attribute) {
-    return lowercase(
-      attribute
-        .replace(/([a-z0-9])([A-Z])/g, '$1_$2') // add _
-        .replace(/^[^_]+_/, '')                 // remove first item (on / once)
-      );
+  function wind(paths) {
+    var outer;
+    forEach(paths, function (path, index) {
+      var area = signedArea(path);
+      if (!index) {
+        outer = area;
+      } else if (area * outer > 0) {
+        path.reverse();
+      }
+    });
+    return paths;
   }
 
   /**
-   * Bind events on google map object from attributes
-   * @param obj {Google.Maps.Object}
-   * @param scope {Scope}
-   * @param attrs {Attributes}
+   * Convert polygon paths to a path or to a list of paths of google.maps.LatLng
+   * The first path is the outer boundary, the next ones are holes which are wound in the opposite direction
+   * @param paths {Array|MVCArray|object|string} a path, a list of paths, GeoJSON Polygon, MultiPolygon, Feature or encoded polylines
+   * @returns {Array}
    */
-  function bind(obj, scope, attrs) {
-    forEach(attrs, function (value, key) {
-      var match = key.match(/^on(ce)?[A-Z]/);
-      if (match) {
-        googleMap.event['addListener' + (match[1] ? 'Once' : '')](obj, eventName(key), function (event) {
-          $timeout(function () {
-            scope.$apply(function () {
-              var childScope = scope.$new(false);
-              childScope.event = event;
-              $parse(value)(childScope);
+  function toPaths(paths) {
+    var result, direction,
+      geometry = toGeometry(paths);
+    if (geometry) {
+      if (geometry.type === 'Polygon') {
+        return wind(geometry.coordinates.map(function (ring) {
+          return fromPositions(ring, true);
+        }));
+      }
+      if (geometry.type === 'MultiPolygon') {
+        // each polygon keeps its holes, all outer boundaries are wound in the same direction
+        result = [];
+        forEach(geometry.coordinates, function (polygon) {
+          var area,
+            rings = wind(polygon.map(function (ring) {
+              return fromPositions(ring, true);
+            }));
+          area = rings.length ? signedArea(rings[0]) : 0;
+          if (!isDefined(direction)) {
+            direction = area;
+          } else if (area * direction < 0) {
+            forEach(rings, function (ring) {
+              ring.reverse();
             });
-          });
+          }
+          Array.prototype.push.apply(result, rings);
         });
+        return result;
       }
+      return toPath(paths);
+    }
+    if (!isArrayLike(paths) || !toArray(paths).length || isPath(paths)) {
+      return toPath(paths);
+    }
+    result = [];
+    forEach(toArray(paths), function (path) {
+      result.push(toPath(path));
     });
+    return wind(result);
   }
 
   /**
-   * Watch "gm-address" attribute
-   * @param scope
-   * @param attrs
-   * @param callback {function}
-   * @returns {undefined|function()} deregistration function
+   * Return the native array of a MVCArray
+   * @param value {*}
+   * @returns {*}
    */
-  function address(scope, attrs, callback) {
-    var lastValue, handler;
-    if (gmAddress in attrs) {
-      handler = scope.$watch(attrs[gmAddress], function (value) {
-        // address may change before getting geocoder result, so, we need to ensure that this is the latest value
-        lastValue = value;
-        if (value) {
-          geocode(value).then(function (latLng) {
-            if (angular.equals(lastValue, value)) { // result is still valid, request does not changed
-              callback(latLng);
-            }
-          });
-        }
-      })
-    }
-    return handler;
+  function toArray(value) {
+    return value && angular.isFunction(value.getArray) ? value.getArray() : value;
   }
 
   /**
-   * Watch some attributes and run google maps generic functions (setX, setY)
+   * Return true if value is an array or a MVCArray
+   * @param value {*}
+   * @returns {boolean}
+   */
+  function isArrayLike(value) {
+    return angular.isArray(toArray(value));
+  }
+
+  /**
+   * Return true if value is a list of mixed LatLng
+   * @param value {*}
+   * @returns {boolean}
+   */
+  function isPath(value) {
+    value = toArray(value);
+    return angular.isArray(value) && value.length > 0 && isDefined(toLatLng(value[0]));
+  }
+
+  /**
+   * Convert a google.maps.LatLng to the shape of a model: [lat, lng], {lat: number, lng: number} or LatLng
+   * @param latLng {google.maps.LatLng}
+   * @param model {*} previous value
+   * @returns {*}
+   */
+  function fromLatLng(latLng, model) {
+    if (!latLng) {
+      return latLng;
+    }
+    if (angular.isArray(model)) {
+      return [latLng.lat(), latLng.lng()];
+    }
+    if (angular.isObject(model) && !(model instanceof googleMap.LatLng) && ('lat' in model) && ('lng' in model)) {
+      return angular.extend({}, model, {lat: latLng.lat(), lng: latLng.lng()});
+    }
+    return latLng;
+  }
+
+  /**
+   * Convert a value read from a google.maps object to the shape of a model
+   * @param value {*}
+   * @param model {*} previous value
+   * @returns {*}
+   */
+  function serialize(value, model) {
+    var items, ne, sw, coordinates,
+      geometry = toGeometry(model);
+    if (geometry) {
+      if (model.type === 'Feature') {
+        return angular.extend({}, model, {geometry: serialize(value, geometry)});
+      }
+      if (geometry.type === 'Point' && value instanceof googleMap.LatLng) {
+        coordinates = [value.lng(), value.lat()];
+      } else if (geometry.type === 'LineString' && isArrayLike(value)) {
+        coordinates = toPositions(value);
+      } else if (geometry.type === 'Polygon' && isArrayLike(value)) {
+        items = toArray(value);
+        coordinates = (items.length && isArrayLike(items[0]) ? items : [items]).map(function (path) {
+          return toPositions(path, true);
+        });
+      } else {
+        return model; // not supported (ie: MultiPolygon), keep model unchanged
+      }
+      return angular.extend({}, geometry, {coordinates: coordinates});
+    }
+    if (value instanceof googleMap.LatLng) {
+      return fromLatLng(value, model);
+    }
+    if (isArrayLike(value) && angular.isString(model)) {
+      // an encoded polyline only holds one path, keep the outer boundary of polygon paths
+      items = toArray(value);
+      return encodePath(items.length && isArrayLike(items[0]) ? items[0] : items);
+    }
+    if (value instanceof googleMap.LatLngBounds) {
+      ne = value.getNorthEast();
+      sw = value.getSouthWest();
+      if (angular.isArray(model)) {
+        return model.length === 4 ? [ne.lat(), ne.lng(), sw.lat(), sw.lng()] : [fromLatLng(ne, model[0]), fromLatLng(sw, model[1])];
+      }
+      if (angular.isObject(model) && ('ne' in model) && ('sw' in model)) {
+        return angular.extend({}, model, {ne: fromLatLng(ne, model.ne), sw: fromLatLng(sw, model.sw)});
+      }
+      if (angular.isObject(model) && ('n' in model) && ('e' in model) && ('s' in model) && ('w' in model)) {
+        return angular.extend({}, model, {n: ne.lat(), e: ne.lng(), s: sw.lat(), w: sw.lng()});
+      }
+      return value;
+    }
+    if (isArrayLike(value) && angular.isArray(model)) {
+      items = toArray(value);
+      // a single path provided flat may be returned as a list of paths (ie: polygon paths)
+      if (items.length === 1 && isArrayLike(items[0]) && isPath(model)) {
+        return serialize(items[0], model);
+      }
+      return items.map(function (item, index) {
+        return serialize(item, index < model.length ? model[index] : model[0]);
+      });
+    }
+    return value;
+  }
+
+  /**
+   * Compare two values, LatLng are compared using their coordinates
+   * @param a {*}
+   * @param b {*}
+   * @returns {boolean}
+   */
+  function same(a, b) {
+    var index;
+    if (a instanceof googleMap.LatLng && b instanceof googleMap.LatLng) {
+      return a.lat() === b.lat() && a.lng() === b.lng();
+    }
+    if (a instanceof googleMap.LatLngBounds && b instanceof googleMap.LatLngBounds) {
+      return same(a.getNorthEast(), b.getNorthEast()) && same(a.getSouthWest(), b.getSouthWest());
+    }
+    if (a && b && a.location instanceof googleMap.LatLng && b.location instanceof googleMap.LatLng) { // weighted locations
+      return same(a.location, b.location) && a.weight === b.weight;
+    }
+    if (isArrayLike(a) && isArrayLike(b)) {
+      a = toArray(a);
+      b = toArray(b);
+      // a single path may be nested or not (ie: polygon paths)
+      if (a.length === 1 && isArrayLike(a[0]) && !isArrayLike(b[0])) {
+        a = toArray(a[0]);
+      } else if (b.length === 1 && isArrayLike(b[0]) && !isArrayLike(a[0])) {
+        b = toArray(b[0]);
+      }
+      if (a.length !== b.length) {
+        return false;
+      }
+      for (index = 0; index < a.length; index++) {
+        if (!same(a[index], b[index])) {
+          return false;
+        }
+      }
+      return true;
+    }
+    return angular.equals(a, b);
+  }
+
+
+  /**
+   * Lower first character
+   * @param str {string}
+   * @returns {string}
+   */
+  function lcfirst(str) {
+    str += '';
+    return lowercase(str.charAt(0)) + str.substr(1);
+  }
+
+
+  /**
+   * Capitalise first character
+   * @param str {string}
+   * @returns {string}
+   */
+  function ucfirst(str) {
+    str += '';
+    return str.charAt(0).toUpperCase() + str.substr(1);
+  }
+
+  /**
+   * Return a function only runable only once
+   * http://davidwalsh.name/javascript-once
+   * @param fn {function}
+   * @param context {object} (optional)
+   * @returns {Function}
+   */
+  function once(fn, context) {
+    var result;
+    return function () {
+      if (fn) {
+        result = fn.apply(context || this, arguments);
+        fn = null;
+      }
+      return result;
+    };
+  }
+
+
+  /**
+   * Convert an attribute normalized to a google event: onContentChanged => content_changed
+   * @param attribute
+   */
+  function eventName(attribute) {
+    return lowercase(
+      attribute
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2') // add _
+        .replace(/^[^_]+_/, '')                 // remove first item (on / once)
+      );
+  }
+
+  /**
+   * Bind events on google map object from attributes
+   * @param obj {Google.Maps.Object}
+   * @param scope {Scope}
+   * @param attrs {Attributes}
+   * @param locals {object|function(event)} (optional) values to expose on the child scope (ie: {item: item}) or function returning them
+   */
+  function bind(obj, scope, attrs, locals) {
+    forEach(attrs, function (value, key) {
+      var match = key.match(/^on(ce)?[A-Z]/);
+      if (match) {
+        googleMap.event['addListener' + (match[1] ? 'Once' : '')](obj, eventName(key), function (event) {
+          $timeout(function () {
+            scope.$apply(function () {
+              var childScope = scope.$new(false);
+              childScope.event = event;
+              angular.extend(childScope, angular.isFunction(locals) ? locals(event) : locals);
+              $parse(value)(childScope);
+            });
+          });
+        });
+      }
+    });
+  }
+
+  /**
+   * Watch "gm-address" attribute
+   * Geocoding status is exposed on scope.addressStatus {status, geocoderStatus, address}
+   *    status: pending, ok, zero-results or error (see geocoderStatus)
+   * and reported to "on-address-resolved" (locals: latLng, results) and "on-address-error" (locals: status)
+   * @param scope
+   * @param attrs
+   * @param callback {function}
+   * @returns {undefined|function()} deregistration function
+   */
+  function address(scope, attrs, callback) {
+    var lastValue, handler;
+    if (gmAddress in attrs) {
+      handler = scope.$watch(attrs[gmAddress], function (value) {
+        // own state only, the parent directive (ie: gmMap) may expose its own status through the scope prototype
+        var state = scope.hasOwnProperty('addressStatus') ? scope.addressStatus : undefined,
+          // the same address may be watched more than once by a directive (ie: wait then prop), report it only once
+          report = !state || !angular.equals(state.address, value);
+
+        // address may change before getting geocoder result, so, we need to ensure that this is the latest value
+        lastValue = value;
+        if (value) {
+          if (report) {
+            state = scope.addressStatus = {status: 'pending', address: angular.copy(value)};
+          }
+          geocoder(angular.isString(value) ? {address: value} : value, scope).then(
+            function (results) {
+              var latLng = results[0].geometry.location;
+              if (angular.equals(lastValue, value)) { // result is still valid, request does not changed
+                callback(latLng);
+                if (report && scope.addressStatus === state) {
+                  state.status = 'ok';
+                  state.geocoderStatus = googleMap.GeocoderStatus.OK;
+                  if (attrs.onAddressResolved) {
+                    $parse(attrs.onAddressResolved)(scope, {latLng: latLng, results: results});
+                  }
+                }
+              }
+            },
+            function (status) {
+              if (status !== 'CANCELLED' && report && scope.addressStatus === state) {
+                state.status = status === googleMap.GeocoderStatus.ZERO_RESULTS ? 'zero-results' : 'error';
+                state.geocoderStatus = status;
+                if (attrs.onAddressError) {
+                  $parse(attrs.onAddressError)(scope, {status: status});
+                } else {
+                  error("geocode: " + status);
+                }
+              }
+            }
+          );
+        }
+      })
+    }
+    return handler;
+  }
+
+  /**
+   * Reverse geocode the position of a marker when it is dropped and write the address into "gm-reverse" expression
+   * Written value: {address: formatted address, components: address components}
+   * @param scope {Scope}
+   * @param attrs {Attributes}
+   * @param marker {google.maps.Marker}
+   */
+  function reverse(scope, attrs, marker) {
+    var lastValue,
+      setter = $parse(attrs.gmReverse).assign;
+    if (!setter) {
+      error('gm-reverse: "' + attrs.gmReverse + '" is not assignable');
+      return;
+    }
+    googleMap.event.addListener(marker, 'dragend', function () {
+      var position = marker.getPosition();
+      // marker may be moved again before getting geocoder result, so, we need to ensure that this is the latest value
+      lastValue = position;
+      geocoder({location: position}, scope).then(
+        function (results) {
+          if (lastValue === position) {
+            setter(scope, {
+              address: results[0].formatted_address,
+              components: results[0].address_components
+            });
+          }
+        },
+        function (status) {
+          if (status !== 'CANCELLED') {
+            error("reverse geocode: " + status);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Return the expression of an attribute written either in lowercase (ie: routeIndex) or dashed (ie: route-index)
+   * @param attrs {Attributes}
+   * @param name {string} camel case feature name
+   * @returns {string|undefined}
+   */
+  function attribute(attrs, name) {
+    return isDefined(attrs[name]) ? attrs[name] : attrs[lowercase(name)];
+  }
+
+  /**
+   * Cast a DOM element: an element id, a jqLite / jQuery element or a DOM element
+   * @param mixed {*}
+   * @returns {Element|null}
+   */
+  function toElement(mixed) {
+    if (angular.isString(mixed)) {
+      return document.getElementById(mixed);
+    }
+    if (mixed && !mixed.nodeType && isDefined(mixed.length)) {
+      return mixed[0] || null;
+    }
+    return mixed || null;
+  }
+
+  /**
+   * Extract a route from a DirectionsResult with its distance (meters) and duration (seconds) totals
+   * @param result {DirectionsResult}
+   * @param index {number} route index
+   * @returns {object|null}
+   */
+  function toRoute(result, index) {
+    var summary,
+      route = result && result.routes ? result.routes[index || 0] : null;
+    if (!route) {
+      return null;
+    }
+    summary = {
+      summary: route.summary,
+      warnings: route.warnings || [],
+      copyrights: route.copyrights,
+      legs: route.legs || [],
+      distance: 0,
+      duration: 0
+    };
+    forEach(summary.legs, function (leg) {
+      summary.distance += leg.distance ? leg.distance.value : 0;
+      summary.duration += leg.duration ? leg.duration.value : 0;
+    });
+    return summary;
+  }
+
+  /**
+   * Convert an overlay drawn with a DrawingManager to plain data using the input formats of gm-* directives
+   * @param type {string} OverlayType (marker, circle, rectangle, polyline or polygon)
+   * @param overlay {google.maps.MVCObject}
+   * @returns {object} {type, position|center/radius|bounds|path}
+   */
+  function fromOverlay(type, overlay) {
+    var data = {type: type};
+    if (type === 'marker') {
+      data.position = serialize(overlay.getPosition(), []);
+    } else if (type === 'circle') {
+      data.center = serialize(overlay.getCenter(), []);
+      data.radius = overlay.getRadius();
+    } else if (type === 'rectangle') {
+      data.bounds = serialize(overlay.getBounds(), [[], []]);
+    } else { // polyline, polygon
+      data.path = serialize(overlay.getPath(), [[]]);
+    }
+    return data;
+  }
+
+  /**
+   * Update a MVCArray in place applying the minimum of changes
+   * @param array {google.maps.MVCArray}
+   * @param items {Array} new values, nested arrays are applied on nested MVCArray
+   */
+  function updateArray(array, items) {
+    // a single path may be nested or not (ie: polygon paths)
+    if (array.getLength() === 1 && isArrayLike(array.getAt(0)) && items.length && !isArrayLike(items[0])) {
+      return updateArray(array.getAt(0), items);
+    }
+    if (items.length === 1 && isArrayLike(items[0]) && array.getLength() && !isArrayLike(array.getAt(0))) {
+      return updateArray(array, items[0]);
+    }
+    forEach(items, function (item, index) {
+      var current;
+      if (index < array.getLength()) {
+        current = array.getAt(index);
+        if (isArrayLike(current) && angular.isArray(item)) {
+          updateArray(current, item);
+        } else if (!same(current, item)) {
+          array.setAt(index, item);
+        }
+      } else {
+        array.push(angular.isArray(item) ? new googleMap.MVCArray(item) : item);
+      }
+    });
+    while (array.getLength() > items.length) {
+      array.pop();
+    }
+  }
+
+  /**
+   * Watch some attributes and run google maps generic functions (setX, setY)
    * @param scope {Scope}
    * @param attrs {Attributes}
    * @param controller {Controller}
    * @param feature {string} attribute name to observes
    * @param cast {function} preprocess value observed
+   * @param watch {string} (optional) watching mode: reference (default), collection or deep
+   *                        collection and deep modes update the MVCArray in place if the object property is one
    */
-  function prop(scope, attrs, controller, feature, cast) {
+  function prop(scope, attrs, controller, feature, cast, watch) {
     var normalised = lowercase(feature);
 
     function callback(value) {
       controller.then(function (obj) {
+        var options,
+          getter = obj['get' + ucfirst(feature)],
+          setter = obj['set' + ucfirst(feature)],
+          current = getter ? getter.call(obj) : undefined;
         value = cast(value);
-        if (isDefined(value)) {
-          obj['set' + ucfirst(feature)](value);
+        if (!isDefined(value)) {
+          return;
+        }
+        if (watch && watch !== 'reference' && isArrayLike(current) && current.getArray && angular.isArray(value)) {
+          updateArray(current, value);
+        } else if (feature === 'options' || !getter || !same(current, value)) { // value may come back from a two way binding, do not set it again
+          if (setter) {
+            setter.call(obj, value);
+          } else { // some properties are only available through options (ie: heatmap radius)
+            options = {};
+            options[feature] = value;
+            obj.setOptions(options);
+          }
         }
       });
     }
 
+    function listener(value) {
+      if (isDefined(value)) {
+        callback(value);
+      }
+    }
+
     if (normalised in attrs) {
-      scope.$watch(attrs[normalised], function (value) {
-        if (isDefined(value)) {
-          callback(value);
-        }
-      });
+      if (watch === 'collection') {
+        scope.$watchCollection(attrs[normalised], listener);
+      } else {
+        scope.$watch(attrs[normalised], listener, watch === 'deep');
+      }
     }
     if (cast === toLatLng) {
       address(
@@ -293,14 +1269,18 @@
    *                    [name]: cast
    *                      name     {string}    property name
    *                      cast     {function}  (optional) preprocess value
+   * @param watch {object} (optional)
+   *                    [name]: mode
+   *                      name     {string}    property name
+   *                      mode     {string}    watching mode (see prop)
    *
    */
-  function props(scope, attrs, controller, features) {
+  function props(scope, attrs, controller, features, watch) {
     forEach(features, function (cast, name) {
-      prop(scope, attrs, controller, name, cast);
+      prop(scope, attrs, controller, name, cast, watch ? watch[name] : undefined);
     });
     if ('options' in attrs) {
-      prop(scope, attrs, controller, 'options', function (value) {
+      prop(scope, attrs, controller, 'options', function (value) {
         forEach(features, function (cast, name) {
           if (name in value) {
             value[name] = cast(value[name]);
@@ -312,57 +1292,169 @@
   }
 
   /**
-   * Observe some attributes and wait all of them to run a callback
+   * Write back the object properties into their attribute expressions when the object notifies a change
+   * Only the properties listed in the "gm-sync" attribute (all of them if empty) bound to an assignable expression are written
+   * Values are written using the shape of the current expression value (see serialize)
    * @param scope {Scope}
    * @param attrs {Attributes}
-   * @param features {string|object} string: space separated attribute names to observes; object: {name:cast}
-   * @param callback {function} callback to run
-   * @param once {boolean} (optional, default=false) watch only one time
+   * @param obj {google.maps.MVCObject}
+   * @param features {object}
+   *                    [name]: events
+   *                      name     {string}    property name
+   *                      events   {string}    space separated google events notifying the change,
+   *                                           MVCArray events (set_at, insert_at, remove_at) are listened on the property value
+   * @param drag {object} (optional) changes notified while the user drags the object are written back once it ends
+   *                    start   {string}    google event starting the drag (ie: dragstart)
+   *                    end     {string}    google event ending the drag (ie: idle, to wait for the end of the inertia)
    */
-  function wait(scope, attrs, features, callback, once) {
-
-    var mandatories, handler,
-      handlers = [],
-      options = {};
+  function sync(scope, attrs, obj, features, drag) {
+    var names, dragging,
+      updates = [];
 
-    if (angular.isString(features)) {
-      mandatories = features.split(" ");
-      features = {}; // all features has no cast function associated
-    } else {
-      mandatories = Object.keys(features);
+    if (!('gmSync' in attrs)) {
+      return;
     }
+    names = attrs.gmSync ? attrs.gmSync.split(' ') : Object.keys(features);
 
-    /**
-     * Return True if all mandatories are provided
-     * @returns {boolean}
-     */
-    function isComplete() {
-      var result = true;
-      forEach(mandatories, function (name) {
-        // cast if needed
-        if (isDefined(options[name]) && features[name]) {
-          options[name] = features[name](options[name]);
-        }
-        result = result && isDefined(options[name]);
+    if (drag) {
+      googleMap.event.addListener(obj, drag.start, function () {
+        dragging = true;
       });
-      return result;
-    }
-
-    /**
-     * Test mandatories, unbind if needed and run callback handler
-     * Return True if process is finished
-     */
-    function check() {
-      if (isComplete()) {
-        // stop all watches
-        if (once) {
-          forEach(handlers, function (handler) {
-            handler();
+      googleMap.event.addListener(obj, drag.end, function () {
+        if (dragging) {
+          dragging = false;
+          forEach(updates, function (update) {
+            update();
           });
         }
-        callback(options);
-        return once;
-      }
+      });
+    }
+
+    forEach(features, function (events, name) {
+      var pending,
+        arrayEvents = [],
+        listeners = [],
+        getValue = function () {
+          return obj['get' + ucfirst(name)]();
+        },
+        normalised = lowercase(name),
+        getter = normalised in attrs ? $parse(attrs[normalised]) : undefined;
+
+      if (names.indexOf(name) === -1 || !getter) {
+        return;
+      }
+      if (!getter.assign) {
+        return error(name + ' is not assignable');
+      }
+
+      /**
+       * Listen MVCArray events on the property value and its nested arrays
+       */
+      function listen(value) {
+        forEach(listeners, function (listener) {
+          googleMap.event.removeListener(listener);
+        });
+        listeners = [];
+        if (isArrayLike(value) && value.getArray) {
+          forEach([value].concat(value.getArray()), function (array) {
+            if (array && array.getArray) {
+              forEach(arrayEvents, function (event) {
+                listeners.push(googleMap.event.addListener(array, event, update));
+              });
+            }
+          });
+        }
+      }
+
+      /**
+       * Write the value back (once per digest)
+       */
+      function update() {
+        if (!pending && !dragging) {
+          pending = true;
+          $timeout(function () {
+            var value = getValue();
+            pending = false;
+            if (arrayEvents.length) {
+              listen(value); // nested arrays may have changed
+            }
+            value = serialize(value, getter(scope));
+            if (!same(value, getter(scope))) {
+              getter.assign(scope, value);
+            }
+          });
+        }
+      }
+
+      updates.push(update);
+
+      forEach(events.split(' '), function (event) {
+        if (['set_at', 'insert_at', 'remove_at'].indexOf(event) === -1) {
+          googleMap.event.addListener(obj, event, update);
+        } else {
+          arrayEvents.push(event);
+        }
+      });
+
+      if (arrayEvents.length) {
+        // the array is replaced when the property is set
+        scope.$watch(getValue, listen);
+      }
+    });
+  }
+
+  /**
+   * Observe some attributes and wait all of them to run a callback
+   * @param scope {Scope}
+   * @param attrs {Attributes}
+   * @param features {string|object} string: space separated attribute names to observes; object: {name:cast}
+   * @param callback {function} callback to run
+   * @param once {boolean} (optional, default=false) watch only one time
+   */
+  function wait(scope, attrs, features, callback, once) {
+
+    var mandatories, handler,
+      handlers = [],
+      options = {};
+
+    if (angular.isString(features)) {
+      mandatories = features.split(" ");
+      features = {}; // all features has no cast function associated
+    } else {
+      mandatories = Object.keys(features);
+    }
+
+    /**
+     * Return True if all mandatories are provided
+     * @returns {boolean}
+     */
+    function isComplete() {
+      var result = true;
+      forEach(mandatories, function (name) {
+        // cast if needed
+        if (isDefined(options[name]) && features[name]) {
+          options[name] = features[name](options[name]);
+        }
+        result = result && isDefined(options[name]);
+      });
+      return result;
+    }
+
+    /**
+     * Test mandatories, unbind if needed and run callback handler
+     * Return True if process is finished
+     */
+    function check() {
+      if (isComplete()) {
+        // stop all watches
+        if (once) {
+          forEach(handlers, function (handler) {
+            handler();
+          });
+        }
+        callback(options);
+        return once;
+      }
     }
 
     // evaluate options from element attribute
@@ -415,7 +1507,17 @@
    *                [name]: cast
    *                  name     {string}    property name
    *                  cast     {function}  (optional) preprocess value
+   *          .sync       {object}    (optional) properties which may be written back (see sync)
+   *                [name]: events
+   *                  name     {string}    property name
+   *                  events   {string}    space separated google events notifying the change
+   *          .watch      {object}    (optional) watching mode of main properties (see prop), may be overwritten using "gm-watch" attribute
+   *                [name]: mode
+   *                  name     {string}    property name
+   *                  mode     {string}    reference (default), collection or deep
+   *          .encoded    {string}    (optional) main property which may be provided as an encoded polyline by "encoded-path"
    *          .opts       {boolean}   use a subobject (opts) as options constructor (default = false)
+   *          .locals     {function(event)} (optional) return values to expose on the events child scope
    *          .require    {array|string} additional constructor to require
    *          .destroy    {function(scope, element, attrs, object)} kinda destructor
    *          .create     {function(scope, element, attrs, controllers, options, create)} kinda constructor
@@ -458,7 +1560,20 @@
         var obj, build, mapController, controllers,
           scopeName = buildOptions.name || lcfirst(cls),
           self = this,
-          deferred = $q.defer();
+          deferred = $q.defer(),
+          attributes = $attrs,
+          main = buildOptions.main;
+
+        // "encoded-path" is the expression of the encoded property when this one is not provided
+        // the shared $attrs is not modified, an inherited object is used to wait, watch and write back the property
+        if (buildOptions.encoded && $attrs.encodedPath && !$attrs[buildOptions.encoded]) {
+          attributes = Object.create($attrs);
+          attributes[buildOptions.encoded] = $attrs.encodedPath;
+          main = angular.extend({}, main);
+          main[buildOptions.encoded] = function (value) {
+            return buildOptions.main[buildOptions.encoded](angular.isString(value) ? decodePath(value) : value);
+          };
+        }
 
 
         /**
@@ -492,7 +1607,10 @@
             obj.setMap(map);
           }
           $scope[scopeName] = obj;
-          bind(obj, $scope, $attrs);
+          bind(obj, $scope, $attrs, buildOptions.locals);
+          if (buildOptions.sync) {
+            sync($scope, attributes, obj, buildOptions.sync);
+          }
           deferred.resolve(obj);
         });
 
@@ -550,17 +1668,21 @@
             // no custom constructor or does not satisfy the creation, so, use default one
             wait(
               $scope,
-              $attrs,
-              buildOptions.main,
+              attributes,
+              main,
               function (options) {
+                var watch = {};
                 if (buildOptions.opts) {
                   options.opts = options.opts || {};
                   options.opts.map = map;
                 } else {
                   options.map = map;
                 }
+                forEach(buildOptions.watch, function (mode, name) {
+                  watch[name] = $attrs.gmWatch || mode;
+                });
                 create(options);
-                props($scope, $attrs, self, buildOptions.main);
+                props($scope, attributes, self, main, watch);
               },
               true // once only
             );
@@ -625,7 +1747,7 @@
     .provider('gmLibrary', function () {
       var deferred,
         loading = false,
-        ignore = ['url', 'libraries'],
+        ignore = ['url', 'libraries', 'geocoder'],
         options = {
           url: 'https://maps.googleapis.com/maps/api/js',
           v: 3,
@@ -633,6 +1755,15 @@
           language: 'en',
           sensor: 'false',
           callback: '__mapLibraryLoaded'
+        },
+        geocoder = {          // default geocoder options, overwritten by options.geocoder
+          cache: 100,         // LRU size, custom cache {get(key), put(key, results)} or false
+          storage: false,     // true to keep results in localStorage, or a Storage like object
+          ttl: 86400000,      // stored results time to live (ms)
+          concurrency: 4,     // maximum number of simultaneous requests
+          rate: 10,           // maximum number of requests per second (0 for no limit)
+          retries: 3,         // number of retries on OVER_QUERY_LIMIT and UNKNOWN_ERROR
+          backoff: 1000       // delay before the first retry (ms), doubled on each retry
         };
 
       /**
@@ -651,184 +1782,833 @@
           if (ignore.indexOf(key) === -1) {
             result += key + '=' + value + '&';
           }
-        });
-        if (options.libraries.length) {
-          result += 'libraries=' + options.libraries.join(',');
-        }
-        return result;
-      }
+        });
+        if (options.libraries.length) {
+          result += 'libraries=' + options.libraries.join(',');
+        }
+        return result;
+      }
+
+      /**
+       * Load script
+       */
+      function load($document, $window) {
+        var script, callback = options.callback;
+
+        if (!loading) {
+          loading = true;
+
+          // create the deferred which may be used more than once
+          deferred = $q.defer();
+
+          // user already load google maps libraries, so, we have to trust him (even regarding libraries) because library
+          // can't be loaded more than once else trigger errors
+          if ($window.google && $window.google.maps) {
+            deferred.resolve();
+            googleMap = $window.google.maps;
+          } else {
+
+            // callback function - resolving promise after maps successfully loaded
+            $window[callback] = function () {
+              delete $window[callback];
+              googleMap = $window.google.maps;
+              if (!googleMap) {
+                throw "google.maps library not found";
+              }
+              deferred.resolve();
+            };
+
+            // append script to dom
+            script = $document[0].createElement('script');
+            script.type = 'text/javascript';
+            script.src = url();
+            $document.find("body").append(script);
+          }
+        }
+
+        return deferred.promise;
+      }
+
+      /**
+       * Overwrite options
+       * @param opts
+       */
+      this.configure = function (opts) {
+        angular.extend(options, opts);
+      };
+
+      /**
+       * Add a library (ie: visualization, places) to the ones to load
+       * @param library {string}
+       * @returns {boolean} false if google maps is already loading without this library
+       */
+      function require(library) {
+        if (options.libraries.indexOf(library) === -1) {
+          if (loading) {
+            return false;
+          }
+          options.libraries = options.libraries.concat(library);
+        }
+        return true;
+      }
+
+      this.require = require;
+
+      this.$get = ['$document', '$window', '$rootScope', '$q', '$parse', '$timeout', function ($document, $window, $rootScope, _$q_, _$parse_, _$timeout_) {
+        $q =  _$q_;
+        $parse =_$parse_;
+        $timeout = _$timeout_;
+        geocoding = {
+          options: angular.extend({}, geocoder, options.geocoder),
+          pending: {},
+          queue: [],
+          running: 0,
+          throttled: false
+        };
+        geocoding.cache = cache(geocoding.options, $window);
+        return {
+          /**
+           * Populate scope
+           * @param scope
+           */
+          populate: function (scope) {
+            scope.google = $window.google;
+            $rootScope.google = $window.google;
+          },
+          /**
+           * Add a library to the ones to load, must be called before the first load
+           * @param library {string}
+           * @returns {boolean}
+           */
+          require: require,
+          /**
+           * Async load google map library
+           * @returns {Promise}
+           */
+          load: function () {
+            var deferred;
+            if (options.load) {
+              deferred = $q.defer();
+              options.load(deferred);
+              return deferred.promise.then(function () {
+                return load($document, $window);
+              })
+            } else {
+              return load($document, $window);
+            }
+          }
+        };
+      }];
+    })
+
+    .factory('gmEncoding', function () {
+      return {
+        /**
+         * Encode a path to an encoded polyline string, google maps library is not required
+         * @param path {Array|MVCArray|object} list of mixed LatLng, GeoJSON LineString, Polygon or Feature
+         * @returns {string}
+         */
+        encode: encodePath,
+
+        /**
+         * Decode an encoded polyline string
+         * @param encoded {string}
+         * @returns {Array} list of [lat, lng]
+         */
+        decode: decodePath
+      };
+    })
+
+    .factory('gmGeocoder', ['gmLibrary', function (gmLibrary) {
+      return {
+        /**
+         * Geocode an address
+         * @param address {string|GeocoderRequest} address or full request
+         * @param options {object} (optional) request options (bounds, region, componentRestrictions...)
+         * @returns {Promise} resolved with the results array, rejected with the GeocoderStatus
+         */
+        geocode: function (address, options) {
+          return gmLibrary.load().then(function () {
+            return geocoder(angular.extend({}, angular.isString(address) ? {address: address} : address, options));
+          });
+        },
+
+        /**
+         * Reverse geocode a location
+         * @param latLng {mixed} any LatLng accepted by toLatLng
+         * @param options {object} (optional) request options (region...)
+         * @returns {Promise} resolved with the results array, rejected with the GeocoderStatus
+         */
+        reverse: function (latLng, options) {
+          return gmLibrary.load().then(function () {
+            return geocoder(angular.extend({}, options, {location: latLng}));
+          });
+        }
+      };
+    }])
+
+    .directive('gmMap', ['gmLibrary', function (gmLibrary) {
+      return {
+        restrict: 'E',
+        scope: true,
+        controller: ['$scope', '$element', '$attrs', function ($scope, $element, $attrs) {
+          var map, build,
+            self = this,
+            instances = {}, // services bound to the map
+            deferred = $q.defer(),
+            target = angular.element(document.createElement('DIV'));
+
+          if (!$element.css('position')) {
+            $element.css('position', 'relative');
+          }
+
+          target.css({
+            position: 'absolute',
+            top: 0,
+            right: 0,
+            bottom: 0,
+            left: 0
+          });
+
+          $element.append(target);
+
+          $scope.$on("$destroy", function () {
+            instances = {};
+            if (map) {
+              map = undefined;
+              delete $scope.map;
+            } else {
+              deferred.reject();
+            }
+          });
+
+          /**
+           * Create the map
+           */
+          build = once(function (options) {
+            $timeout(function () { // wait until dom element visibility is toggled if needed
+              map = new googleMap.Map(target[0], options);
+              $scope.map = map;
+              bind(map, $scope, $attrs);
+              deferred.resolve(map);
+            }, 100);
+          });
+
+          /**
+           * Create the map
+           */
+          function create(options) {
+            var visibility = getVisibility($attrs);
+            // if map visibility is dynamic, evaluate it
+            if (visibility) {
+              $scope.$watch(visibility, function (value) {
+                if (value) {
+                  if (map) {
+                    $timeout(function () {
+                      googleMap.event.trigger(map, 'resize');
+                    });
+                  } else {
+                    build(options);
+                  }
+                }
+              });
+            } else {
+              build(options);
+            }
+          }
+
+          self.init = function () {
+            gmLibrary.load().then(function () {
+
+              gmLibrary.populate($scope);
+
+              wait(
+                $scope,
+                $attrs,
+                {center: toLatLng, zoom: toNumber},
+                function (options) {
+                  create(options);
+
+                  props($scope, $attrs, self, {
+                    center: toLatLng,
+                    zoom: toNumber,
+                    mapTypeId: toNop,
+                    heading: toNumber,
+                    tilt: toNumber
+                  });
+
+                  self.then(function (map) {
+                    sync($scope, $attrs, map, {
+                      center: 'center_changed',
+                      zoom: 'zoom_changed',
+                      mapTypeId: 'maptypeid_changed',
+                      heading: 'heading_changed',
+                      tilt: 'tilt_changed'
+                    }, {
+                      // panning notifies center_changed on each frame
+                      start: 'dragstart',
+                      end: 'idle'
+                    });
+                  });
+                },
+                true // once only
+              );
+            });
+
+            if ($attrs.gmThen) {
+              self.then(function () {
+                $parse($attrs.gmThen)($scope.$new(false));
+              });
+            }
+          };
+
+          /**
+           * Append a function in the promise process
+           * @param f
+           */
+          self.then = function (f) {
+            deferred.promise.then(f);
+          };
+
+          /**
+           * return google map object
+           * @returns {*}
+           */
+          self.get = function () {
+            return map;
+          };
+
+          /**
+           * return a service bound to the map, created once by map and released with it
+           * @param name {string} class name, may be a path in google.maps (ie: places.PlacesService)
+           * @returns {google.maps.Service}
+           */
+          self.service = function (name) {
+            if (!instances[name] && map) {
+              instances[name] = service(name, map);
+            }
+            return instances[name];
+          };
+        }],
+        link: function (scope, elem, attrs, controller) {
+          controller.init();
+        }
+      };
+    }])
+
+    .directive('gmMarker', function () {
+      return buildOverlay('Marker', {
+        require: '^?gmCluster',
+        main: {                 // main property to wait / watch / observe before creating
+          position: toLatLng
+        },
+        sync: {
+          position: 'dragend'
+        },
+        create: function (scope, element, attrs, controllers) {
+          var markerController = controllers[0],
+            clusterController = controllers[1];
+          if (attrs.gmReverse) {
+            markerController.then(function (marker) {
+              reverse(scope, attrs, marker);
+            });
+          }
+          if (clusterController) {
+            markerController.then(function (marker) {
+              clusterController.add(marker);
+              scope.$on("$destroy", function () {
+                clusterController.remove(marker);
+              });
+            });
+          }
+          return false; // continue classic creating process
+        },
+        visibility: function (scope, element, attrs, controllers, value) {
+          var marker = controllers[0].get(),
+            clusterController = controllers[1],
+            mapController = controllers[2];
+          // when clustered, the marker map is handled by the cluster
+          if (clusterController) {
+            clusterController.visibility(marker, value);
+          } else if (Boolean(marker.getMap()) !== Boolean(value)) {
+            marker.setMap(value ? mapController.get() : null);
+          }
+        }
+      });
+    })
+
+    .directive('gmMarkers', function () {
+      return {
+        restrict: 'E',
+        scope: true,
+        require: ['gmMarkers', '^?gmCluster', '^gmMap'],
+        controller: ['$scope', '$element', '$attrs', function ($scope, $element, $attrs) {
+          var map, trackBy, optionsGetter, clusterController,
+            self = this,
+            deferred = $q.defer(),
+            visible = true,
+            entries = [], // [{key, locals: {item, $index, marker}, values, marker}]
+            getters = {},
+            features = {
+              position: toLatLng,
+              icon: toNop,
+              title: toNop,
+              zIndex: toNumber,
+              opacity: toNumber,
+              draggable: toNop,
+              clickable: toNop,
+              animation: toNop
+            };
+
+          forEach(features, function (cast, name) {
+            var normalised = lowercase(name);
+            if (normalised in $attrs) {
+              getters[name] = $parse($attrs[normalised]);
+            }
+          });
+
+          if ($attrs.options) {
+            optionsGetter = $parse($attrs.options);
+          }
+
+          if ($attrs.trackBy) {
+            trackBy = $parse($attrs.trackBy);
+          }
+
+          $scope.$on("$destroy", function () {
+            if (map) {
+              forEach(entries, remove);
+              entries = [];
+              map = undefined;
+              delete $scope.markers;
+            } else {
+              deferred.reject();
+            }
+          });
+
+          /**
+           * Return the key of an item, the item itself when no track-by is provided
+           * @param item {*}
+           * @returns {*}
+           */
+          function key(item) {
+            return trackBy ? trackBy(item) : item;
+          }
+
+          /**
+           * Evaluate the per item attributes and update the marker if needed
+           * @param entry {object}
+           */
+          function refresh(entry) {
+            forEach(getters, function (getter, name) {
+              var value = getter($scope, entry.locals);
+              if (!angular.equals(value, entry.values[name])) {
+                entry.values[name] = angular.copy(value);
+                value = features[name](value);
+                if (isDefined(value)) {
+                  entry.marker['set' + ucfirst(name)](value);
+                }
+              }
+            });
+          }
+
+          /**
+           * Publish the markers list on scope
+           */
+          function publish() {
+            $scope.markers = [];
+            forEach(entries, function (entry) {
+              if (entry.marker) {
+                $scope.markers.push(entry.marker);
+              }
+            });
+          }
+
+          /**
+           * Watch the per item attributes of an entry: update its marker, or create it when its position is available
+           * @param entry {object}
+           */
+          function watch(entry) {
+            entry.unwatch = $scope.$watch(
+              function () {
+                var values = {};
+                forEach(getters, function (getter, name) {
+                  values[name] = getter($scope, entry.locals);
+                });
+                return values;
+              },
+              function () {
+                if (entry.marker) {
+                  refresh(entry);
+                } else if (create(entry)) {
+                  publish();
+                }
+              },
+              true
+            );
+          }
+
+          /**
+           * Create the marker of an entry
+           * @param entry {object}
+           * @returns {boolean} true if created
+           */
+          function create(entry) {
+            var options = optionsGetter ? angular.extend({}, optionsGetter($scope, entry.locals)) : {};
+            forEach(features, function (cast, name) {
+              if (getters[name]) {
+                entry.values[name] = angular.copy(getters[name]($scope, entry.locals));
+                options[name] = entry.values[name];
+              }
+              if (isDefined(options[name])) {
+                options[name] = cast(options[name]);
+              }
+            });
+            if (!options.position) {
+              return false;
+            }
+            if (visible) {
+              options.map = map;
+            }
+            entry.marker = new googleMap.Marker(options);
+            entry.locals.marker = entry.marker;
+            bind(entry.marker, $scope, $attrs, entry.locals);
+            if (clusterController) {
+              clusterController.add(entry.marker);
+            }
+            return true;
+          }
 
-      /**
-       * Load script
-       */
-      function load($document, $window) {
-        var script, callback = options.callback;
+          /**
+           * Remove the marker of an entry from the map
+           * @param entry {object}
+           */
+          function remove(entry) {
+            if (entry.unwatch) {
+              entry.unwatch();
+            }
+            if (entry.marker) {
+              if (clusterController) {
+                clusterController.remove(entry.marker);
+              }
+              entry.marker.setMap(null);
+              entry.marker = undefined;
+            }
+          }
 
-        if (!loading) {
-          loading = true;
+          /**
+           * Diff the collection against the current entries: create, update and remove markers
+           * @param items {array}
+           */
+          function sync(items) {
+            var previous = {},
+              identities = [],
+              current = [],
+              markers = [];
 
-          // create the deferred which may be used more than once
-          deferred = $q.defer();
+            forEach(entries, function (entry, index) {
+              if (trackBy) {
+                previous[entry.key] = entry;
+              } else {
+                identities[index] = entry.key;
+              }
+            });
 
-          // user already load google maps libraries, so, we have to trust him (even regarding libraries) because library
-          // can't be loaded more than once else trigger errors
-          if ($window.google && $window.google.maps) {
-            deferred.resolve();
-            googleMap = $window.google.maps;
-          } else {
+            forEach(items, function (item, index) {
+              var entry, position,
+                itemKey = key(item);
 
-            // callback function - resolving promise after maps successfully loaded
-            $window[callback] = function () {
-              delete $window[callback];
-              googleMap = $window.google.maps;
-              if (!googleMap) {
-                throw "google.maps library not found";
+              if (trackBy) {
+                entry = previous.hasOwnProperty(itemKey) ? previous[itemKey] : undefined;
+                delete previous[itemKey];
+              } else {
+                position = identities.indexOf(itemKey);
+                if (position !== -1) {
+                  entry = entries[position];
+                  identities[position] = undefined;
+                }
               }
-              deferred.resolve();
-            };
 
-            // append script to dom
-            script = $document[0].createElement('script');
-            script.type = 'text/javascript';
-            script.src = url();
-            $document.find("body").append(script);
+              // the marker of an existing entry is updated by its watch
+              if (entry) {
+                entry.locals.item = item;
+                entry.locals.$index = index;
+              } else {
+                entry = {key: itemKey, locals: {item: item, $index: index}, values: {}};
+                watch(entry);
+              }
+              if (entry.marker || create(entry)) {
+                markers.push(entry.marker);
+              }
+              current.push(entry);
+            });
+
+            // remove entries which are not in the collection anymore
+            forEach(entries, function (entry, index) {
+              if (trackBy ? previous.hasOwnProperty(entry.key) && previous[entry.key] === entry : identities[index] !== undefined) {
+                remove(entry);
+              }
+            });
+
+            entries = current;
+            $scope.markers = markers;
           }
-        }
 
-        return deferred.promise;
-      }
+          self.init = once(function (controllers) {
+            var mapController = controllers[2];
 
-      /**
-       * Overwrite options
-       * @param opts
-       */
-      this.configure = function (opts) {
-        angular.extend(options, opts);
-      };
+            clusterController = controllers[1];
+
+            mapController.then(function (_map_) {
+              var visibility = getVisibility($attrs);
+
+              map = _map_;
+
+              if (visibility) {
+                visible = $scope.$eval(visibility);
+                $scope.$watch(visibility, function (value) {
+                  visible = value;
+                  forEach(entries, function (entry) {
+                    if (entry.marker) {
+                      if (clusterController) {
+                        clusterController.visibility(entry.marker, value);
+                      } else {
+                        entry.marker.setMap(value ? map : null);
+                      }
+                    }
+                  });
+                });
+              }
+
+              $scope.$watchCollection($attrs.items, function (items) {
+                sync(items || []);
+                deferred.resolve($scope.markers);
+              });
+            });
+
+            if ($attrs.gmThen) {
+              self.then(function () {
+                $parse($attrs.gmThen)($scope.$new(false));
+              });
+            }
+          });
 
-      this.$get = ['$document', '$window', '$rootScope', '$q', '$parse', '$timeout', function ($document, $window, $rootScope, _$q_, _$parse_, _$timeout_) {
-        $q =  _$q_;
-        $parse =_$parse_;
-        $timeout = _$timeout_;
-        return {
           /**
-           * Populate scope
-           * @param scope
+           * Append a function in the promise process
+           * @param f
            */
-          populate: function (scope) {
-            scope.google = $window.google;
-            $rootScope.google = $window.google;
-          },
+          self.then = function (f) {
+            deferred.promise.then(f);
+          };
+
           /**
-           * Async load google map library
-           * @returns {Promise}
+           * return google map markers
+           * @returns {Array}
            */
-          load: function () {
-            var deferred;
-            if (options.load) {
-              deferred = $q.defer();
-              options.load(deferred);
-              return deferred.promise.then(function () {
-                return load($document, $window);
-              })
-            } else {
-              return load($document, $window);
-            }
-          }
-        };
-      }];
+          self.get = function () {
+            return $scope.markers || [];
+          };
+        }],
+        link: function (scope, element, attrs, controllers) {
+          controllers[0].init(controllers);
+        }
+      };
     })
 
-    .directive('gmMap', ['gmLibrary', function (gmLibrary) {
+    .directive('gmCluster', function () {
       return {
         restrict: 'E',
         scope: true,
+        require: ['gmCluster', '^gmMap'],
         controller: ['$scope', '$element', '$attrs', function ($scope, $element, $attrs) {
-          var map, build,
+          var map, scheduled, zoom,
             self = this,
             deferred = $q.defer(),
-            target = angular.element(document.createElement('DIV'));
-
-          if (!$element.css('position')) {
-            $element.css('position', 'relative');
-          }
-
-          target.css({
-            position: 'absolute',
-            top: 0,
-            right: 0,
-            bottom: 0,
-            left: 0
-          });
-
-          $element.append(target);
+            dirty = true,           // markers set, positions or visibility changed since the last redraw
+            markers = [],
+            shown = [],             // own visibility of the markers (ngShow / ngHide), the cluster may hide them
+            handlers = [],          // markers listeners
+            clusters = [],
+            listeners = [],
+            options = {
+              gridSize: 60,           // size of a grid cell in pixels
+              maxZoom: undefined,     // zoom level above which markers are not clustered anymore
+              minimumClusterSize: 2,  // minimum number of markers to create a cluster
+              zoomOnClick: true,      // fit the map bounds on the cluster markers when the cluster is clicked
+              icon: undefined         // cluster icon: value or function(cluster) returning the icon
+            };
 
           $scope.$on("$destroy", function () {
             if (map) {
+              forEach(listeners.concat(handlers), function (listener) {
+                googleMap.event.removeListener(listener);
+              });
+              clear();
               map = undefined;
-              delete $scope.map;
+              delete $scope.clusters;
             } else {
               deferred.reject();
             }
           });
 
           /**
-           * Create the map
+           * Convert a LatLng to the world pixel coordinates for a zoom level (mercator projection)
+           * @param latLng {google.maps.LatLng}
+           * @param zoom {number}
+           * @returns {{x: number, y: number}}
            */
-          build = once(function (options) {
-            $timeout(function () { // wait until dom element visibility is toggled if needed
-              map = new googleMap.Map(target[0], options);
-              $scope.map = map;
-              bind(map, $scope, $attrs);
-              deferred.resolve(map);
-            }, 100);
-          });
+          function toPixel(latLng, zoom) {
+            var scale = 256 * Math.pow(2, zoom),
+              sin = Math.min(Math.max(Math.sin(latLng.lat() * Math.PI / 180), -0.9999), 0.9999);
+            return {
+              x: (latLng.lng() + 180) / 360 * scale,
+              y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+            };
+          }
 
           /**
-           * Create the map
+           * Remove the cluster markers from the map
            */
-          function create(options) {
-            var visibility = getVisibility($attrs);
-            // if map visibility is dynamic, evaluate it
-            if (visibility) {
-              $scope.$watch(visibility, function (value) {
-                if (value) {
-                  if (map) {
-                    $timeout(function () {
-                      googleMap.event.trigger(map, 'resize');
-                    });
-                  } else {
-                    build(options);
-                  }
-                }
+          function clear() {
+            forEach(clusters, function (cluster) {
+              cluster.marker.setMap(null);
+            });
+            clusters = [];
+          }
+
+          /**
+           * Create the marker of a cluster
+           * @param cluster {object}
+           */
+          function createMarker(cluster) {
+            var icon = angular.isFunction(options.icon) ? options.icon(cluster) : options.icon;
+            cluster.marker = new googleMap.Marker({
+              map: map,
+              position: cluster.center,
+              icon: icon,
+              label: '' + cluster.count,
+              title: '' + cluster.count
+            });
+            if (options.zoomOnClick) {
+              googleMap.event.addListener(cluster.marker, 'click', function () {
+                map.fitBounds(cluster.bounds);
               });
-            } else {
-              build(options);
             }
+            bind(cluster.marker, $scope, $attrs, {cluster: cluster});
           }
 
-          self.init = function () {
-            gmLibrary.load().then(function () {
+          /**
+           * Restore the own visibility of a marker which is not clustered
+           * @param marker {google.maps.Marker}
+           */
+          function restore(marker) {
+            var value = shown[markers.indexOf(marker)] ? map : null;
+            if (marker.getMap() !== value) {
+              marker.setMap(value);
+            }
+          }
 
-              gmLibrary.populate($scope);
+          /**
+           * Group the markers on a grid and display clusters
+           * Clusters only depend on the zoom level (world pixel grid), so, they are not computed again on panning
+           */
+          function redraw() {
+            var cells = {}, keys = [];
 
-              wait(
-                $scope,
-                $attrs,
-                {center: toLatLng, zoom: toNumber},
-                function (options) {
-                  create(options);
+            scheduled = false;
 
-                  props($scope, $attrs, self, {
-                    center: toLatLng,
-                    zoom: toNumber,
-                    mapTypeId: toNop,
-                    heading: toNumber,
-                    tilt: toNumber
-                  });
-                },
-                true // once only
-              );
+            if (!map || (!dirty && zoom === map.getZoom())) {
+              return;
+            }
+
+            clear();
+            dirty = false;
+            zoom = map.getZoom();
+
+            forEach(markers, function (marker, index) {
+              var pixel, key,
+                position = marker.getPosition();
+              // hidden markers are neither displayed nor counted
+              if (!position || !shown[index] || marker.getVisible() === false) {
+                restore(marker);
+                return;
+              }
+              if (isDefined(options.maxZoom) && zoom > options.maxZoom) {
+                restore(marker);
+                return;
+              }
+              pixel = toPixel(position, zoom);
+              key = Math.floor(pixel.x / options.gridSize) + ':' + Math.floor(pixel.y / options.gridSize);
+              if (!cells.hasOwnProperty(key)) {
+                cells[key] = [];
+                keys.push(key);
+              }
+              cells[key].push(marker);
+            });
+
+            forEach(keys, function (key) {
+              var cluster, n, e, s, w,
+                lat = 0,
+                lng = 0,
+                cell = cells[key];
+
+              if (cell.length < options.minimumClusterSize) {
+                forEach(cell, restore);
+                return;
+              }
+
+              forEach(cell, function (marker) {
+                var position = marker.getPosition();
+                marker.setMap(null);
+                lat += position.lat();
+                lng += position.lng();
+                n = isDefined(n) ? Math.max(n, position.lat()) : position.lat();
+                s = isDefined(s) ? Math.min(s, position.lat()) : position.lat();
+                e = isDefined(e) ? Math.max(e, position.lng()) : position.lng();
+                w = isDefined(w) ? Math.min(w, position.lng()) : position.lng();
+              });
+
+              cluster = {
+                markers: cell,
+                count: cell.length,
+                center: new googleMap.LatLng(lat / cell.length, lng / cell.length),
+                bounds: toLatLngBounds({n: n, e: e, s: s, w: w})
+              };
+              createMarker(cluster);
+              clusters.push(cluster);
+            });
+
+            // redraw may be run from a google maps event
+            $scope.$applyAsync(function () {
+              $scope.clusters = clusters;
+            });
+          }
+
+          /**
+           * Redraw clusters once the current changes are done
+           */
+          function schedule() {
+            dirty = true;
+            if (!scheduled) {
+              scheduled = true;
+              $timeout(redraw, 0, false);
+            }
+          }
+
+          self.init = once(function (mapController) {
+            mapController.then(function (_map_) {
+              map = _map_;
+
+              if ($attrs.options) {
+                angular.extend(options, $parse($attrs.options)($scope));
+              }
+
+              forEach(['idle', 'zoom_changed'], function (name) {
+                listeners.push(googleMap.event.addListener(map, name, redraw));
+              });
+
+              redraw();
+              deferred.resolve(clusters);
             });
 
             if ($attrs.gmThen) {
@@ -836,6 +2616,60 @@
                 $parse($attrs.gmThen)($scope.$new(false));
               });
             }
+          });
+
+          /**
+           * Register a marker in the cluster
+           * @param marker {google.maps.Marker}
+           */
+          self.add = function (marker) {
+            if (markers.indexOf(marker) === -1) {
+              markers.push(marker);
+              shown.push(Boolean(marker.getMap()));
+              handlers.push(googleMap.event.addListener(marker, 'position_changed', schedule));
+              handlers.push(googleMap.event.addListener(marker, 'visible_changed', schedule));
+              schedule();
+            }
+          };
+
+          /**
+           * Update the own visibility of a marker (ngShow / ngHide), its map is handled by the cluster
+           * @param marker {google.maps.Marker}
+           * @param value {boolean}
+           */
+          self.visibility = function (marker, value) {
+            var index = markers.indexOf(marker);
+            if (index !== -1) {
+              shown[index] = Boolean(value);
+              if (!value) {
+                marker.setMap(null);
+              }
+              schedule();
+            }
+          };
+
+          /**
+           * Unregister a marker from the cluster
+           * @param marker {google.maps.Marker}
+           */
+          self.remove = function (marker) {
+            var index = markers.indexOf(marker);
+            if (index !== -1) {
+              markers.splice(index, 1);
+              shown.splice(index, 1);
+              forEach(handlers.splice(2 * index, 2), function (listener) {
+                googleMap.event.removeListener(listener);
+              });
+              schedule();
+            }
+          };
+
+          /**
+           * Force clusters computing
+           */
+          self.redraw = function () {
+            dirty = true;
+            redraw();
           };
 
           /**
@@ -847,25 +2681,17 @@
           };
 
           /**
-           * return google map object
-           * @returns {*}
+           * return current clusters
+           * @returns {Array}
            */
           self.get = function () {
-            return map;
+            return clusters;
           };
         }],
-        link: function (scope, elem, attrs, controller) {
-          controller.init();
+        link: function (scope, element, attrs, controllers) {
+          controllers[0].init(controllers[1]);
         }
       };
-    }])
-
-    .directive('gmMarker', function () {
-      return buildOverlay('Marker', {
-        main: {                 // main property to wait / watch / observe before creating
-          position: toLatLng
-        }
-      });
     })
 
     .directive('gmCircle', function () {
@@ -873,6 +2699,10 @@
         main: {
           center: toLatLng,
           radius: toNumber
+        },
+        sync: {
+          center: 'center_changed',
+          radius: 'radius_changed'
         }
       });
     })
@@ -881,6 +2711,9 @@
       return buildOverlay('Rectangle', {
         main: {
           bounds: toLatLngBounds
+        },
+        sync: {
+          bounds: 'bounds_changed'
         }
       });
     })
@@ -951,25 +2784,246 @@
         restrict: 'E',
         scope: true,
         require: ['gmDirections', '^gmMap'],
-        controller: ['$scope', function ($scope) {
+        controller: ['$scope', '$attrs', function ($scope, $attrs) {
           var deferred = $q.defer(),
+            last = 0,
+            requested, // waypoints of the latest request
+            dragged, // waypoints of the latest route modified on the map
             obj = {
               result: null,
               status: ''
             };
 
+          /**
+           * Cast a waypoint location, keep strings (address) which can not be cast
+           * @param waypoint {*} location or DirectionsWaypoint
+           * @returns {DirectionsWaypoint}
+           */
+          function toWaypoint(waypoint) {
+            var result = angular.isObject(waypoint) && ('location' in waypoint) ? angular.extend({}, waypoint) : {location: waypoint};
+            result.location = toLatLng(result.location) || result.location;
+            return result;
+          }
+
+          /**
+           * Derive the waypoints of the first route of a result: dragged points are via waypoints,
+           * intermediate leg ends are stopovers
+           * @param result {DirectionsResult}
+           * @returns {Array} DirectionsWaypoint list
+           */
+          function toWaypoints(result) {
+            var waypoints = [],
+              legs = result && result.routes && result.routes[0] ? result.routes[0].legs || [] : [];
+            forEach(legs, function (leg, index) {
+              forEach(leg.via_waypoints || [], function (location) {
+                waypoints.push({location: location, stopover: false});
+              });
+              if (index < legs.length - 1) {
+                waypoints.push({location: leg.end_location, stopover: true});
+              }
+            });
+            return waypoints;
+          }
+
+          /**
+           * Publish a result on scope and run the on-route callback
+           * @param results {DirectionsResult}
+           * @param status {DirectionsStatus}
+           */
+          function publish(results, status) {
+            var waypoints = toWaypoints(results);
+            obj.result = results;
+            obj.status = status;
+            $scope.directions = {
+              result: results,
+              status: status,
+              waypoints: waypoints,
+              loading: false
+            };
+            if ($attrs.onRoute) {
+              $parse($attrs.onRoute)($scope, {result: results, status: status, waypoints: waypoints});
+            }
+          }
+
+          /**
+           * Run a route request, only the result of the latest request is kept
+           * The waypoints of a route modified on the map are kept while the requested waypoints are unchanged
+           * @param options {DirectionsRequest}
+           */
           this._run = function (options) {
+            var id = ++last,
+              waypoints = angular.copy(options.waypoints);
+            if (!angular.equals(waypoints, requested)) {
+              dragged = undefined;
+            }
+            requested = waypoints;
+            if (dragged) {
+              options.waypoints = dragged;
+            }
             options.origin = toLatLng(options.origin) || options.origin;
             options.destination = toLatLng(options.destination) || options.destination;
+            if (options.waypoints) {
+              options.waypoints = options.waypoints.map(toWaypoint);
+            }
+            $scope.directions = $scope.directions || {
+              result: null,
+              status: ''
+            };
+            $scope.directions.loading = true;
             services('DirectionsService').route(
               options,
               function (results, status) {
-                obj.result = results;
+                if (id !== last) { // a newer request has been sent, drop this result
+                  return;
+                }
+                $scope.$apply(function () {
+                  publish(results, status);
+                });
+                deferred.resolve(obj);
+              }
+            );
+          };
+
+          /**
+           * Publish a route modified on the map (i.e. dragged on the renderer), pending requests are dropped
+           * @param result {DirectionsResult}
+           */
+          this._modified = function (result) {
+            last++;
+            publish(result, obj.status);
+            dragged = $scope.directions.waypoints;
+          };
+
+          /**
+           * Append a function in the promise process
+           * @param f
+           */
+          this.then = function (f) {
+            deferred.promise.then(f);
+          };
+
+          /**
+           * return direction
+           * @returns {*}
+           */
+          this.get = function () {
+            return obj;
+          };
+        }],
+        link: function (scope, elem, attrs, controllers) {
+          var controller = controllers[0],
+            mapController = controllers[1],
+            mandatories = ['origin', 'destination', 'travelMode'],
+            features = mandatories.concat(['waypoints', 'optimizeWaypoints', 'avoidTolls', 'avoidHighways', 'transitOptions', 'provideRouteAlternatives']);
+
+          /**
+           * Build the request from options and attributes
+           * @returns {object}
+           */
+          function request() {
+            var result = attrs.options ? angular.extend({}, $parse(attrs.options)(scope)) : {};
+            forEach(features, function (name) {
+              var value,
+                expression = attribute(attrs, name);
+              if (isDefined(expression)) {
+                value = scope.$eval(expression);
+                if (isDefined(value)) {
+                  result[name] = value;
+                }
+              }
+            });
+            return result;
+          }
+
+          mapController.then(function () {
+            scope.$watch(request, function (request) {
+              var complete = true;
+              forEach(mandatories, function (name) {
+                complete = complete && isDefined(request[name]);
+              });
+              if (complete) {
+                controller._run(request);
+              }
+            }, true);
+          });
+        }
+      };
+    })
+
+    .directive('gmDistancematrix', function () {
+      return {
+        restrict: 'E',
+        scope: true,
+        require: ['gmDistancematrix', '^gmMap'],
+        controller: ['$scope', function ($scope) {
+          var deferred = $q.defer(),
+            last = 0,
+            obj = {
+              result: null,
+              status: '',
+              matrix: [],
+              elements: []
+            };
+
+          /**
+           * Convert a text / value pair (ie: distance, duration) to its value
+           * @param item {object}
+           * @returns {number|undefined}
+           */
+          function value(item) {
+            return item ? item.value : undefined;
+          }
+
+          /**
+           * Normalise the response in a matrix (origin x destination) and a flat list of elements
+           * @param result {DistanceMatrixResponse}
+           */
+          function normalise(result) {
+            obj.matrix = [];
+            obj.elements = [];
+            forEach(result ? result.rows : [], function (row, originIndex) {
+              obj.matrix.push(row.elements.map(function (item, destinationIndex) {
+                var element = {
+                  originIndex: originIndex,
+                  destinationIndex: destinationIndex,
+                  origin: result.originAddresses[originIndex],
+                  destination: result.destinationAddresses[destinationIndex],
+                  status: item.status,
+                  distance: value(item.distance),
+                  distanceText: item.distance ? item.distance.text : undefined,
+                  duration: value(item.duration),
+                  durationText: item.duration ? item.duration.text : undefined,
+                  durationInTraffic: value(item.duration_in_traffic),
+                  fare: item.fare
+                };
+                obj.elements.push(element);
+                return element;
+              }));
+            });
+          }
+
+          this._run = function (options) {
+            var id = ++last;
+            forEach(['origins', 'destinations'], function (name) {
+              options[name] = (angular.isArray(options[name]) ? options[name] : [options[name]]).map(function (item) {
+                return toLatLng(item) || item;
+              });
+            });
+            services('DistanceMatrixService').getDistanceMatrix(
+              options,
+              function (result, status) {
+                if (id !== last) { // a newer request has been sent, drop this result
+                  return;
+                }
+                obj.result = result;
                 obj.status = status;
+                normalise(status === googleMap.DistanceMatrixStatus.OK ? result : null);
                 $scope.$apply(function () {
-                  $scope.directions = {
-                    result: results,
-                    status: status
+                  $scope.distanceMatrix = {
+                    result: result,
+                    status: status,
+                    matrix: obj.matrix,
+                    elements: obj.elements
                   };
                 });
                 deferred.resolve(obj);
@@ -986,7 +3040,7 @@
           };
 
           /**
-           * return direction
+           * return distance matrix
            * @returns {*}
            */
           this.get = function () {
@@ -995,21 +3049,339 @@
         }],
         link: function (scope, elem, attrs, controllers) {
           var controller = controllers[0],
-            mapController = controllers[1];
+            mapController = controllers[1],
+            mandatories = ['origins', 'destinations', 'travelMode'],
+            features = mandatories.concat(['transitOptions', 'drivingOptions', 'unitSystem', 'avoidHighways', 'avoidTolls']);
+
+          /**
+           * Build the request from options and attributes
+           * @returns {object}
+           */
+          function request() {
+            var result = attrs.options ? angular.extend({}, $parse(attrs.options)(scope)) : {};
+            forEach(features, function (name) {
+              var value,
+                expression = attribute(attrs, name);
+              if (isDefined(expression)) {
+                value = scope.$eval(expression);
+                if (isDefined(value)) {
+                  result[name] = value;
+                }
+              }
+            });
+            return result;
+          }
 
           mapController.then(function () {
-            wait(
-              scope,
-              attrs,
-              'origin destination travelMode',
-              function (options) {
-                controller._run(options);
+            // deep watched to run a new request when an origin or a destination is added
+            scope.$watch(request, function (request) {
+              var complete = true;
+              forEach(mandatories, function (name) {
+                complete = complete && isDefined(request[name]);
+              });
+              if (complete) {
+                controller._run(request);
+              }
+            }, true);
+          });
+        }
+      };
+    })
+
+    .directive('gmElevation', function () {
+      return {
+        restrict: 'E',
+        scope: true,
+        require: ['gmElevation', '^gmMap'],
+        controller: ['$scope', function ($scope) {
+          var deferred = $q.defer(),
+            last = 0,
+            obj = {
+              results: [],
+              status: ''
+            };
+
+          /**
+           * Summarise the elevations: min, max and cumulative gain / loss between consecutive samples
+           * @param results {Array} ElevationResult list
+           * @returns {object}
+           */
+          function summarise(results) {
+            var summary = {
+              elevations: [],
+              min: undefined,
+              max: undefined,
+              gain: 0,
+              loss: 0
+            };
+            forEach(results, function (result, index) {
+              var elevation = result.elevation,
+                delta = index ? elevation - summary.elevations[index - 1] : 0;
+              summary.elevations.push(elevation);
+              summary.min = index ? Math.min(summary.min, elevation) : elevation;
+              summary.max = index ? Math.max(summary.max, elevation) : elevation;
+              if (delta > 0) {
+                summary.gain += delta;
+              } else {
+                summary.loss -= delta;
+              }
+            });
+            return summary;
+          }
+
+          /**
+           * Run an elevation request, only the result of the latest request is kept
+           * @param options {object} locations or path and samples
+           */
+          this._run = function (options) {
+            var id = ++last,
+              service = services('ElevationService'),
+              callback = function (results, status) {
+                if (id !== last) { // a newer request has been sent, drop this result
+                  return;
+                }
+                results = status === googleMap.ElevationStatus.OK ? results || [] : [];
+                obj.results = results;
+                obj.status = status;
+                $scope.$apply(function () {
+                  $scope.elevation = angular.extend(
+                    {
+                      results: results,
+                      status: status
+                    },
+                    summarise(results)
+                  );
+                });
+                deferred.resolve(obj);
+              };
+            if (options.locations) {
+              service.getElevationForLocations({locations: options.locations}, callback);
+            } else {
+              service.getElevationAlongPath({path: options.path, samples: options.samples}, callback);
+            }
+          };
+
+          /**
+           * Append a function in the promise process
+           * @param f
+           */
+          this.then = function (f) {
+            deferred.promise.then(f);
+          };
+
+          /**
+           * return elevation
+           * @returns {*}
+           */
+          this.get = function () {
+            return obj;
+          };
+        }],
+        link: function (scope, elem, attrs, controllers) {
+          var controller = controllers[0],
+            mapController = controllers[1],
+            version = 0,
+            previous;
+
+          /**
+           * Evaluate a list of locations as [lat, lng] list
+           * @param name {string} attribute name
+           * @returns {Array|undefined}
+           */
+          function positions(name) {
+            var value = attrs[name] ? scope.$eval(attrs[name]) : undefined;
+            if (value) {
+              return toPath(value).filter(angular.isObject).map(function (latLng) {
+                return [latLng.lat(), latLng.lng()];
+              });
+            }
+          }
+
+          /**
+           * Build the request from attributes
+           * @returns {object}
+           */
+          function request() {
+            return {
+              locations: positions('locations'),
+              path: positions('path'),
+              samples: toNumber(scope.$eval(attrs.samples))
+            };
+          }
+
+          /**
+           * Convert a [lat, lng] list to google.maps.LatLng
+           * @param positions {Array}
+           * @returns {Array}
+           */
+          function toLatLngs(positions) {
+            return positions.map(function (position) {
+              return new googleMap.LatLng(position[0], position[1]);
+            });
+          }
+
+          /**
+           * Flag a change of an attribute value
+           */
+          function changed() {
+            version++;
+          }
+
+          mapController.then(function () {
+            // raw values are watched, the request is only built on changes
+            forEach(['locations', 'path'], function (name) {
+              if (attrs[name]) {
+                scope.$watchCollection(attrs[name], changed);
+              }
+            });
+            if (attrs.samples) {
+              scope.$watch(attrs.samples, changed);
+            }
+            // registered last to be evaluated after the attributes watchers
+            scope.$watch(function () {
+              return version;
+            }, function () {
+              var current = request();
+              if (angular.equals(current, previous)) {
+                return;
+              }
+              previous = current;
+              if (current.locations && current.locations.length) {
+                controller._run({locations: toLatLngs(current.locations)});
+              } else if (current.path && current.path.length && current.samples) {
+                controller._run({path: toLatLngs(current.path), samples: current.samples});
+              }
+            });
+          });
+        }
+      };
+    })
+
+    .directive('gmPlaces', ['gmLibrary', function (gmLibrary) {
+      requireLibrary(gmLibrary, 'gm-places', 'places');
+      return {
+        restrict: 'E',
+        scope: true,
+        require: ['gmPlaces', '^gmMap'],
+        controller: ['$scope', function ($scope) {
+          var deferred = $q.defer(),
+            last = 0,
+            obj = {
+              results: [],
+              status: ''
+            };
+
+          /**
+           * Run a nearby search or a text search (if query is provided) and load up to "pages" result pages
+           * @param mapController {Controller} gmMap controller
+           * @param request {object}
+           * @param pages {number}
+           */
+          this._run = function (mapController, request, pages) {
+            var id = ++last,
+              count = 0,
+              results = [],
+              service = mapController.service('places.PlacesService');
+
+            function callback(items, status, pagination) {
+              var hasNextPage = Boolean(pagination && pagination.hasNextPage);
+              if (id !== last) { // a newer request has been sent, drop this result
+                return;
+              }
+              count++;
+              if (status === googleMap.places.PlacesServiceStatus.OK) {
+                results = results.concat(items);
+              }
+              obj.results = results;
+              obj.status = status;
+              $scope.$apply(function () {
+                $scope.places = {
+                  results: results,
+                  status: status,
+                  hasNextPage: hasNextPage,
+                  nextPage: function () {
+                    if (id === last && hasNextPage) {
+                      pagination.nextPage();
+                    }
+                  }
+                };
+              });
+              deferred.resolve(obj);
+              if (hasNextPage && count < pages) {
+                pagination.nextPage();
+              }
+            }
+
+            service[isDefined(request.query) ? 'textSearch' : 'nearbySearch'](request, callback);
+          };
+
+          /**
+           * Append a function in the promise process
+           * @param f
+           */
+          this.then = function (f) {
+            deferred.promise.then(f);
+          };
+
+          /**
+           * return places
+           * @returns {*}
+           */
+          this.get = function () {
+            return obj;
+          };
+        }],
+        link: function (scope, elem, attrs, controllers) {
+          var controller = controllers[0],
+            mapController = controllers[1],
+            features = {
+              location: toLatLng,
+              radius: toNumber,
+              bounds: toLatLngBounds,
+              types: toNop,
+              keyword: toNop,
+              query: toNop,
+              rankBy: toNop
+            };
+
+          /**
+           * Build the request from options and attributes
+           * @returns {object}
+           */
+          function request() {
+            var result = attrs.options ? angular.extend({}, $parse(attrs.options)(scope)) : {};
+            forEach(features, function (cast, name) {
+              var value,
+                normalised = lowercase(name);
+              if (normalised in attrs) {
+                value = scope.$eval(attrs[normalised]);
+                if (isDefined(value)) {
+                  result[name] = value;
+                }
+              }
+            });
+            return result;
+          }
+
+          mapController.then(function () {
+            if (!googleMap.places) {
+              return error('gm-places: ' + missingLibrary('places'));
+            }
+            scope.$watch(request, function (request) {
+              forEach(features, function (cast, name) {
+                if (isDefined(request[name])) {
+                  request[name] = cast(request[name]);
+                }
+              });
+              // text search requires a query, nearby search requires an area
+              if (isDefined(request.query) || (request.location && (request.radius || request.rankBy)) || request.bounds) {
+                controller._run(mapController, request, toNumber(scope.$eval(attrs.pages)) || 1);
               }
-            );
+            }, true);
           });
         }
       };
-    })
+    }])
 
     .directive('gmRenderer', function () {
       return buildOverlay('DirectionsRenderer', {
@@ -1024,37 +3396,347 @@
             options.map = mapController.get();
             options.directions = data.result;
             scope.$watch('directions', function (directions) {
-              controller.get().setDirections(directions.result);
+              var renderer = controller.get();
+              // a route modified on the renderer is already displayed
+              if (renderer.getDirections() !== directions.result) {
+                renderer.setDirections(directions.result);
+              }
             });
             create(options);
+            controller.then(function (renderer) {
+              var alternatives = [],
+                routeIndex = attribute(attrs, 'routeIndex'),
+                setter = routeIndex ? $parse(routeIndex).assign : undefined;
+
+              /**
+               * Draw the non selected routes as clickable polylines which select them
+               */
+              function drawAlternatives() {
+                var result = renderer.getDirections(),
+                  selected = renderer.getRouteIndex() || 0,
+                  options = scope.$eval(attrs.alternatives);
+                forEach(alternatives, function (polyline) {
+                  googleMap.event.clearInstanceListeners(polyline);
+                  polyline.setMap(null);
+                });
+                alternatives = [];
+                if (!options || !result || !result.routes) {
+                  return;
+                }
+                forEach(result.routes, function (route, index) {
+                  var polyline;
+                  if (index !== selected) {
+                    polyline = new googleMap.Polyline(angular.extend(
+                      {strokeColor: '#808080', strokeOpacity: 0.5, strokeWeight: 5},
+                      angular.isObject(options) ? options : {},
+                      {map: renderer.getMap(), path: route.overview_path, clickable: true}
+                    ));
+                    googleMap.event.addListener(polyline, 'click', function () {
+                      renderer.setRouteIndex(index);
+                    });
+                    alternatives.push(polyline);
+                  }
+                });
+              }
+
+              if (routeIndex) {
+                scope.$watch(routeIndex, function (value) {
+                  value = toNumber(value);
+                  if (isDefined(value) && value !== renderer.getRouteIndex()) {
+                    renderer.setRouteIndex(value);
+                  }
+                });
+              }
+              googleMap.event.addListener(renderer, 'routeindex_changed', function () {
+                drawAlternatives();
+                if (setter) {
+                  $timeout(function () {
+                    var value = renderer.getRouteIndex();
+                    if (value !== toNumber($parse(routeIndex)(scope))) {
+                      setter(scope, value);
+                    }
+                  });
+                }
+              });
+              googleMap.event.addListener(renderer, 'directions_changed', drawAlternatives);
+              if (attrs.alternatives) {
+                scope.$watch(attrs.alternatives, drawAlternatives, true);
+              }
+              scope.$on('$destroy', function () {
+                forEach(alternatives, function (polyline) {
+                  polyline.setMap(null);
+                });
+              });
+
+              if (attrs.panel) {
+                scope.$watch(
+                  function () {
+                    return toElement($parse(attrs.panel)(scope));
+                  },
+                  function (panel) {
+                    renderer.setPanel(panel);
+                  }
+                );
+              }
+              // write back a route reshaped by the user (draggable renderer)
+              googleMap.event.addListener(renderer, 'directions_changed', function () {
+                var result = renderer.getDirections();
+                if (result !== directionsController.get().result) {
+                  scope.$apply(function () {
+                    directionsController._modified(result);
+                  });
+                }
+              });
+            });
           });
           return true;
         }
       });
     })
 
+    .directive('gmDirectionsPanel', function () {
+      return {
+        restrict: 'E',
+        scope: true,
+        link: function (scope, element, attrs) {
+          var routeIndex = attribute(attrs, 'routeIndex');
+
+          /**
+           * Return the DirectionsResult, provided (DirectionsResult or gmDirections scope value) or inherited from gmDirections
+           * @returns {DirectionsResult}
+           */
+          function result() {
+            var directions = attrs.directions ? $parse(attrs.directions)(scope) : scope.directions;
+            return directions && !directions.routes ? directions.result : directions;
+          }
+
+          /**
+           * Publish the selected route
+           */
+          function update() {
+            scope.route = toRoute(result(), routeIndex ? toNumber(scope.$eval(routeIndex)) : 0);
+          }
+
+          scope.$watch(result, update);
+          if (routeIndex) {
+            scope.$watch(routeIndex, update);
+          }
+        }
+      };
+    })
+
     .directive('gmPolyline', function () {
       return buildOverlay('Polyline', {
         main: {
-          path: function (path) {
-            forEach(path, function (value, index) {
-              path[index] = toLatLng(value);
-            });
-            return path;
-          }
-        }
+          path: toPath
+        },
+        watch: {
+          path: 'collection'
+        },
+        sync: {
+          path: 'set_at insert_at remove_at dragend'
+        },
+        encoded: 'path'
       });
     })
 
     .directive('gmPolygon', function () {
       return buildOverlay('Polygon', {
         main: {
-          paths: function (paths) {
-            forEach(paths, function (value, index) {
-              paths[index] = toLatLng(value);
-            });
-            return paths;
-          }
+          paths: toPaths
+        },
+        watch: {
+          paths: 'collection'
+        },
+        sync: {
+          paths: 'set_at insert_at remove_at dragend'
+        },
+        encoded: 'paths'
+      });
+    })
+
+    .directive('gmData', function () {
+      return buildOverlay('Data', {
+        name: 'dataLayer',
+        locals: function (event) {
+          return {feature: event && event.feature};
+        },
+        create: function (scope, element, attrs, controllers, options, create) {
+          var dataController = controllers[0];
+
+          create(options);
+
+          dataController.then(function (dataLayer) {
+            var entries = [], // [{key, item, features}] features added from the geojson attribute
+              urlFeatures = [],
+              styles = {features: [], values: []}, // last evaluated style of each feature
+              styleVersion = 0;
+
+            /**
+             * Evaluate the style of a feature
+             * @param feature {google.maps.Data.Feature}
+             * @returns {google.maps.Data.StyleOptions}
+             */
+            function style(feature) {
+              var value = $parse(attrs.style)(scope, {feature: feature});
+              return angular.isFunction(value) ? value(feature) : value;
+            }
+
+            /**
+             * Remove some features from the layer
+             * @param features {Array}
+             */
+            function remove(features) {
+              forEach(features, function (feature) {
+                dataLayer.remove(feature);
+              });
+            }
+
+            /**
+             * Return the key of a GeoJSON feature: its id, else the object itself
+             * @param item {object}
+             * @returns {*}
+             */
+            function key(item) {
+              return item && isDefined(item.id) ? 'id:' + item.id : item;
+            }
+
+            /**
+             * Update in place the feature of an entry from a new GeoJSON feature sharing its id
+             * @param entry {object}
+             * @param item {object} GeoJSON feature
+             * @returns {boolean} false if the feature has to be replaced (ie: geometry changes)
+             */
+            function update(entry, item) {
+              var feature = entry.features[0],
+                properties = item.properties || {};
+              if (entry.features.length !== 1 || !angular.equals(item.geometry, entry.item.geometry)) {
+                return false;
+              }
+              feature.forEachProperty(function (value, name) {
+                if (!properties.hasOwnProperty(name)) {
+                  feature.removeProperty(name);
+                }
+              });
+              forEach(properties, function (value, name) {
+                if (!angular.equals(value, feature.getProperty(name))) {
+                  feature.setProperty(name, value);
+                }
+              });
+              entry.item = item;
+              return true;
+            }
+
+            if (attrs.geojson) {
+              // a FeatureCollection is watched on its features, features are matched on their id (else on the object)
+              // and only the changed ones are updated, removed or added
+              scope.$watchCollection(
+                function () {
+                  var geojson = $parse(attrs.geojson)(scope);
+                  if (!geojson) {
+                    return [];
+                  }
+                  return geojson.type === 'FeatureCollection' ? geojson.features || [] : [geojson];
+                },
+                function (items) {
+                  var keyed = {},
+                    identities = [],
+                    current = [];
+
+                  forEach(entries, function (entry, index) {
+                    if (angular.isString(entry.key)) {
+                      keyed[entry.key] = entry;
+                    } else {
+                      identities[index] = entry.key;
+                    }
+                  });
+
+                  forEach(items, function (item) {
+                    var entry, position,
+                      itemKey = key(item);
+
+                    if (angular.isString(itemKey)) {
+                      entry = keyed.hasOwnProperty(itemKey) ? keyed[itemKey] : undefined;
+                      delete keyed[itemKey];
+                    } else {
+                      position = identities.indexOf(itemKey);
+                      if (position !== -1) {
+                        entry = entries[position];
+                        identities[position] = undefined;
+                      }
+                    }
+
+                    if (entry && entry.item !== item && !update(entry, item)) {
+                      remove(entry.features);
+                      entry = undefined;
+                    }
+                    current.push(entry || {key: itemKey, item: item, features: dataLayer.addGeoJson(item)});
+                  });
+
+                  // remove entries which are not in the collection anymore
+                  forEach(entries, function (entry, index) {
+                    if (angular.isString(entry.key) ? keyed[entry.key] === entry : identities[index] !== undefined) {
+                      remove(entry.features);
+                    }
+                  });
+
+                  entries = current;
+                }
+              );
+            }
+
+            if (attrs.url) {
+              scope.$watch(attrs.url, function (url) {
+                remove(urlFeatures);
+                urlFeatures = [];
+                if (url) {
+                  dataLayer.loadGeoJson(url, undefined, function (features) {
+                    // url may change before getting the result, so, we need to ensure that this is the latest value
+                    if ($parse(attrs.url)(scope) === url) {
+                      urlFeatures = features;
+                    } else {
+                      remove(features);
+                    }
+                  });
+                }
+              });
+            }
+
+            if (attrs.style) {
+              // style is evaluated per feature, the last style of each feature is kept (copied only on changes)
+              // and the features are styled again when one of them changes
+              scope.$watch(
+                function () {
+                  var previous = styles;
+                  styles = {features: [], values: []};
+                  dataLayer.forEach(function (feature) {
+                    var value = style(feature),
+                      position = styles.features.length,
+                      // features are usually in the same order, avoid a lookup
+                      index = previous.features[position] === feature ? position : previous.features.indexOf(feature);
+                    if (index !== -1 && angular.equals(value, previous.values[index])) {
+                      value = previous.values[index];
+                    } else {
+                      if (index !== -1) {
+                        styleVersion++;
+                      }
+                      value = angular.copy(value);
+                    }
+                    styles.features.push(feature);
+                    styles.values.push(value);
+                  });
+                  return styleVersion;
+                },
+                function () {
+                  // a new function is required to get the features styled again
+                  dataLayer.setStyle(function (feature) {
+                    return style(feature);
+                  });
+                }
+              );
+            }
+          });
+          return true;
         }
       });
     })
@@ -1108,6 +3790,94 @@
       };
     })
 
+    .directive('gmControl', ['$document', function ($document) {
+
+      /**
+       * Cast a control position: ControlPosition value or name (ie: TOP_RIGHT, top-right)
+       * @param value {number|string}
+       * @returns {number|undefined}
+       */
+      function toControlPosition(value) {
+        if (angular.isString(value) && isNaN(value)) {
+          return googleMap.ControlPosition[angular.uppercase(value).replace(/-/g, '_')];
+        }
+        return toNumber(value);
+      }
+
+      return {
+        restrict: 'E',
+        require: '^gmMap',
+        transclude: true,
+        link: function (scope, elem, attrs, mapController, transclude) {
+          var map, position, unwatch, transcludedScope,
+            destroyed = false,
+            container = angular.element($document[0].createElement('DIV'));
+
+          // transcluded content keeps its scope and bindings
+          transclude(function (clone, cloneScope) {
+            container.append(clone);
+            transcludedScope = cloneScope;
+          });
+
+          /**
+           * Remove the container from the map controls
+           */
+          function remove() {
+            var index;
+            if (map && isDefined(position)) {
+              index = map.controls[position].getArray().indexOf(container[0]);
+              if (index !== -1) {
+                map.controls[position].removeAt(index);
+              }
+            }
+          }
+
+          /**
+           * (Re)Add the container to the map controls using the current position and index
+           */
+          function update() {
+            var index = attrs.index ? toNumber(attrs.index) : undefined;
+            remove();
+            position = toControlPosition(attrs.position);
+            if (!isDefined(position) || !map.controls[position]) {
+              position = undefined;
+              return error('gm-control: invalid position "' + attrs.position + '"');
+            }
+            if (isDefined(index)) {
+              container[0].index = index;
+            }
+            map.controls[position].push(container[0]);
+          }
+
+          mapController.then(function (value) {
+            if (destroyed) {
+              return;
+            }
+            map = value;
+            // position and index may be interpolated
+            unwatch = scope.$watch(
+              function () {
+                return attrs.position + ':' + attrs.index;
+              },
+              update
+            );
+          });
+
+          // element based, so, a control whose element is removed while its scope lives is removed too
+          elem.on('$destroy', function () {
+            if (unwatch) {
+              unwatch();
+            }
+            remove();
+            container.remove();
+            transcludedScope.$destroy();
+            destroyed = true;
+            map = undefined;
+          });
+        }
+      };
+    }])
+
     .directive('gmTrafficlayer', function () {
       return buildLayer('TrafficLayer');
     })
@@ -1120,6 +3890,263 @@
       return buildLayer('TransitLayer');
     })
 
+    .directive('gmHeatmaplayer', ['gmLibrary', function (gmLibrary) {
+      requireLibrary(gmLibrary, 'gm-heatmaplayer', 'visualization');
+      return buildOverlay('HeatmapLayer', {
+        main: {
+          data: toWeightedLocations
+        },
+        watch: {
+          data: 'collection'
+        },
+        instantiate: function (scope, element, attrs, options) {
+          return new googleMap.visualization.HeatmapLayer(options);
+        },
+        create: function (scope, element, attrs, controllers) {
+          if (!googleMap.visualization) {
+            error('gm-heatmaplayer: ' + missingLibrary('visualization'));
+            return true; // not created
+          }
+          forEach({radius: toNumber, opacity: toNumber, gradient: toNop, dissipating: toNop, maxIntensity: toNumber}, function (cast, name) {
+            prop(scope, attrs, controllers[0], name, cast, name === 'gradient' ? 'collection' : undefined);
+          });
+          return false; // continue classic creating process
+        }
+      });
+    }])
+
+    .directive('gmDrawingmanager', ['gmLibrary', function (gmLibrary) {
+      requireLibrary(gmLibrary, 'gm-drawingmanager', 'drawing');
+
+      /**
+       * Cast a drawing mode, null is the hand mode
+       * @param value {string|null} OverlayType, case insensitive
+       * @returns {string|null}
+       */
+      function toOverlayType(value) {
+        return value ? lowercase(value) : null;
+      }
+
+      return buildOverlay('DrawingManager', {
+        directive: 'gmDrawingmanager',
+        name: 'drawingManager',
+        locals: function (event) {
+          return event && event.overlay ? {type: event.type, overlay: event.overlay, data: fromOverlay(event.type, event.overlay)} : {};
+        },
+        instantiate: function (scope, element, attrs, options) {
+          return new googleMap.drawing.DrawingManager(options);
+        },
+        create: function (scope, element, attrs, controllers, options, create) {
+          var controller = controllers[0],
+            drawingMode = attribute(attrs, 'drawingMode'),
+            drawingModes = attribute(attrs, 'drawingModes'),
+            overlays = attribute(attrs, 'overlays'),
+            removeOverlay = attribute(attrs, 'removeOverlay');
+
+          /**
+           * Build the options from the options attribute, the drawing modes and the default options of the drawn shapes
+           * @returns {object}
+           */
+          function settings() {
+            var modes = drawingModes ? scope.$eval(drawingModes) : undefined,
+              result = angular.extend({}, attrs.options ? scope.$eval(attrs.options) : {});
+            if (modes) {
+              result.drawingControlOptions = angular.extend({}, result.drawingControlOptions, {drawingModes: modes.map(toOverlayType)});
+            }
+            forEach(['markerOptions', 'circleOptions', 'rectangleOptions', 'polylineOptions', 'polygonOptions'], function (name) {
+              var value = attribute(attrs, name) ? scope.$eval(attribute(attrs, name)) : undefined;
+              if (value) {
+                result[name] = value;
+              }
+            });
+            return result;
+          }
+
+          if (!googleMap.drawing) {
+            error('gm-drawingmanager: ' + missingLibrary('drawing'));
+            return true; // not created
+          }
+
+          create(angular.extend(options, settings()));
+
+          controller.then(function (drawingManager) {
+            scope.$watch(settings, function (value, previous) {
+              if (value !== previous) {
+                delete value.drawingMode; // do not reset the mode selected by the user
+                drawingManager.setOptions(value);
+              }
+            }, true);
+
+            if (drawingMode) {
+              scope.$watch(drawingMode, function (value) {
+                if (isDefined(value) && toOverlayType(value) !== drawingManager.getDrawingMode()) {
+                  drawingManager.setDrawingMode(toOverlayType(value));
+                }
+              });
+              // drawing mode may be changed using the drawing control
+              googleMap.event.addListener(drawingManager, 'drawingmode_changed', function () {
+                var setter = $parse(drawingMode).assign;
+                if (setter) {
+                  $timeout(function () {
+                    var value = drawingManager.getDrawingMode();
+                    if (value !== toOverlayType(scope.$eval(drawingMode))) {
+                      setter(scope, value);
+                    }
+                  });
+                }
+              });
+            }
+
+            googleMap.event.addListener(drawingManager, 'overlaycomplete', function (event) {
+              $timeout(function () {
+                var list,
+                  getter = overlays ? $parse(overlays) : undefined;
+                if (getter) {
+                  list = getter(scope);
+                  if (!angular.isArray(list) && getter.assign) {
+                    list = [];
+                    getter.assign(scope, list);
+                  }
+                  if (angular.isArray(list)) {
+                    list.push(fromOverlay(event.type, event.overlay));
+                  }
+                }
+                // the shape is rendered by gm-* directives from the data
+                if (removeOverlay && scope.$eval(removeOverlay)) {
+                  event.overlay.setMap(null);
+                }
+              });
+            });
+          });
+          return true;
+        }
+      });
+    }])
+
+    .directive('gmAutocomplete', ['gmLibrary', function (gmLibrary) {
+      requireLibrary(gmLibrary, 'gm-autocomplete', 'places');
+      return {
+        restrict: 'A',
+        require: ['gmAutocomplete', '?ngModel', '^?gmMap'],
+        controller: ['$scope', '$element', '$attrs', function ($scope, $element, $attrs) {
+          var autocomplete, ngModel, selected, selectedText,
+            self = this,
+            deferred = $q.defer(),
+            projection = $attrs.projection ? $parse($attrs.projection) : undefined;
+
+          $element.on('$destroy', function () {
+            if (autocomplete) {
+              googleMap.event.clearInstanceListeners(autocomplete);
+              autocomplete = undefined;
+            } else {
+              deferred.reject();
+            }
+          });
+
+          /**
+           * Convert the model value to the input text
+           * @param value {*}
+           * @returns {string}
+           */
+          function formatter(value) {
+            if (isDefined(selected) && value === selected) {
+              return selectedText;
+            }
+            if (angular.isObject(value)) {
+              return value.formatted_address || value.name || '';
+            }
+            return value;
+          }
+
+          /**
+           * Typing in the input invalidate the selected place
+           * @param value {string}
+           * @returns {*}
+           */
+          function parser(value) {
+            return isDefined(selected) && value === selectedText ? selected : null;
+          }
+
+          /**
+           * Store the selected place (or its projection) into the model through ngModel (parsers, validators...)
+           */
+          function placeChanged() {
+            var place = autocomplete.getPlace();
+            $scope.$apply(function () {
+              selected = projection ? projection($scope, {place: place}) : place;
+              selectedText = $element.val();
+              if (ngModel.$viewValue === selectedText) {
+                // the text has been fully typed, an unchanged view value would not be parsed again
+                ngModel.$setViewValue('');
+              }
+              // the parser converts the selected text to the selected place
+              ngModel.$setViewValue(selectedText);
+            });
+          }
+
+          self.init = once(function (controllers) {
+            var mapController = controllers[2];
+            ngModel = controllers[1];
+
+            if (ngModel) {
+              ngModel.$formatters.push(formatter);
+              ngModel.$parsers.push(parser);
+            }
+
+            gmLibrary.load().then(function () {
+              if (!googleMap.places) {
+                return error('gm-autocomplete: ' + missingLibrary('places'));
+              }
+              autocomplete = new googleMap.places.Autocomplete($element[0], $attrs.options ? $parse($attrs.options)($scope) : {});
+              if (ngModel) {
+                googleMap.event.addListener(autocomplete, 'place_changed', placeChanged);
+              }
+              bind(autocomplete, $scope, $attrs, function () {
+                return {place: autocomplete.getPlace()};
+              });
+              props($scope, $attrs, self, {
+                types: toNop,
+                componentRestrictions: toNop,
+                bounds: toLatLngBounds
+              });
+              // without explicit bounds, bias the predictions to the parent map viewport
+              if (mapController && !('bounds' in $attrs)) {
+                mapController.then(function (map) {
+                  autocomplete.bindTo('bounds', map);
+                });
+              }
+              deferred.resolve(autocomplete);
+            });
+
+            if ($attrs.gmThen) {
+              self.then(function (autocomplete) {
+                $parse($attrs.gmThen)($scope, {autocomplete: autocomplete});
+              });
+            }
+          });
+
+          /**
+           * Append a function in the promise process
+           * @param f
+           */
+          self.then = function (f) {
+            deferred.promise.then(f);
+          };
+
+          /**
+           * return google maps autocomplete object
+           * @returns {*}
+           */
+          self.get = function () {
+            return autocomplete;
+          };
+        }],
+        link: function (scope, element, attrs, controllers) {
+          controllers[0].init(controllers);
+        }
+      };
+    }])
+
     .directive('gmStreetviewpanorama', ['gmLibrary', function (gmLibrary) {
       return {
         restrict: 'E',
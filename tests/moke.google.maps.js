@@ -52,6 +52,11 @@ var mokeGoogle = (function () {
       self.__data.__mapTypes = [];
       angular.extend(self.__data, options);
 
+      this.controls = {};
+      angular.forEach(maps.ControlPosition, function (position) {
+        self.controls[position] = new maps.MVCArray();
+      });
+
       this.mapTypes = {
         set: function (id, styles) {
           self.__data.__mapTypes.push({id: id, styles: styles});
@@ -60,6 +65,10 @@ var mokeGoogle = (function () {
     }
   });
 
+  maps.Map.prototype.fitBounds = function (bounds) {
+    this.__data.__fitBounds = bounds;
+  };
+
   maps.StreetViewPanorama = createGenericObject({
     prop: 'position pov zoom options',
     constructor: function (mapDiv, options) {
@@ -68,8 +77,23 @@ var mokeGoogle = (function () {
     }
   });
 
+  maps.ControlPosition = {
+    BOTTOM_CENTER: 11,
+    BOTTOM_LEFT: 10,
+    BOTTOM_RIGHT: 12,
+    LEFT_BOTTOM: 6,
+    LEFT_CENTER: 4,
+    LEFT_TOP: 5,
+    RIGHT_BOTTOM: 9,
+    RIGHT_CENTER: 8,
+    RIGHT_TOP: 7,
+    TOP_CENTER: 2,
+    TOP_LEFT: 1,
+    TOP_RIGHT: 3
+  };
+
   maps.Marker = createGenericObject({
-    prop: 'animation attribution clickable cursor draggable icon map opacity place position shape title visible zIndex options',
+    prop: 'animation attribution clickable cursor draggable icon label map opacity place position shape title visible zIndex options',
     constructor: true
   });
 
@@ -89,15 +113,49 @@ var mokeGoogle = (function () {
   });
 
   maps.Polyline = createGenericObject({
-    prop: 'draggable editable map path visible options',
-    constructor: true
+    prop: 'draggable editable map path:get visible options',
+    constructor: function (options) {
+      angular.extend(this.__data, options);
+      this.setPath(this.__data.path);
+    }
   });
 
+  maps.Polyline.prototype.setPath = function (path) {
+    this.__data.path = toMVCArray(path);
+  };
+
   maps.Polygon = createGenericObject({
-    prop: 'draggable editable map path paths visible options',
-    constructor: true
+    prop: 'draggable editable map path paths:get visible options',
+    constructor: function (options) {
+      angular.extend(this.__data, options);
+      this.setPaths(this.__data.paths);
+    }
   });
 
+  /**
+   * paths are stored as a MVCArray of LatLng if a single path is provided, else as a MVCArray of MVCArray
+   */
+  maps.Polygon.prototype.setPaths = function (paths) {
+    var isNested;
+    paths = toMVCArray(paths);
+    isNested = paths.getLength() && (angular.isArray(paths.getAt(0)) || paths.getAt(0) instanceof maps.MVCArray);
+    if (isNested) {
+      paths.forEach(function (path, index) {
+        paths.__array[index] = toMVCArray(path);
+      });
+      paths.__index();
+    }
+    this.__data.paths = paths;
+  };
+
+  /**
+   * return the first path
+   */
+  maps.Polygon.prototype.getPath = function () {
+    var paths = this.__data.paths;
+    return paths && paths.getLength() && paths.getAt(0) instanceof maps.MVCArray ? paths.getAt(0) : paths;
+  };
+
   maps.InfoWindow.prototype.open = function (map, anchor) {
     this.__data.__map = map;
     this.__data.__anchor = anchor;
@@ -109,10 +167,15 @@ var mokeGoogle = (function () {
   };
 
   maps.DirectionsRenderer = createGenericObject({
-    prop: 'map directions options',
+    prop: 'map directions options panel routeIndex:get',
     constructor: true
   });
 
+  maps.DirectionsRenderer.prototype.setRouteIndex = function (routeIndex) {
+    this.__data.routeIndex = routeIndex;
+    maps.event.trigger(this, 'routeindex_changed');
+  };
+
   maps.TrafficLayer = createGenericObject({
     prop: 'map options',
     constructor: true
@@ -128,6 +191,203 @@ var mokeGoogle = (function () {
     constructor: true
   });
 
+  maps.drawing = {
+    OverlayType: {
+      CIRCLE: 'circle',
+      MARKER: 'marker',
+      POLYGON: 'polygon',
+      POLYLINE: 'polyline',
+      RECTANGLE: 'rectangle'
+    }
+  };
+
+  maps.drawing.DrawingManager = createGenericObject({
+    prop: 'map drawingMode:get',
+    constructor: true
+  });
+
+  maps.drawing.DrawingManager.prototype.setDrawingMode = function (drawingMode) {
+    this.__data.drawingMode = drawingMode;
+    maps.event.trigger(this, 'drawingmode_changed');
+  };
+
+  maps.drawing.DrawingManager.prototype.setOptions = function (options) {
+    angular.extend(this.__data, options);
+  };
+
+  /**
+   * Simulate the end of a user drawing
+   * @param type {string} OverlayType
+   * @param overlay {object}
+   */
+  maps.drawing.DrawingManager.prototype.__draw = function (type, overlay) {
+    maps.event.trigger(this, 'overlaycomplete', {type: type, overlay: overlay});
+  };
+
+  maps.visualization = {};
+
+  maps.visualization.HeatmapLayer = createGenericObject({
+    prop: 'map data:get',
+    constructor: function (options) {
+      angular.extend(this.__data, options);
+      this.setData(this.__data.data || []);
+    }
+  });
+
+  maps.visualization.HeatmapLayer.prototype.setData = function (data) {
+    this.__data.data = toMVCArray(data);
+  };
+
+  /**
+   * radius, opacity, gradient... are only available through options
+   */
+  maps.visualization.HeatmapLayer.prototype.setOptions = function (options) {
+    angular.extend(this.__data, options);
+    if (options && options.data) {
+      this.setData(options.data);
+    }
+  };
+
+  maps.Data = createGenericObject({
+    prop: 'map style options',
+    constructor: function (options) {
+      angular.extend(this.__data, options);
+      this.__features = [];
+    }
+  });
+
+  maps.Data.Feature = function (options) {
+    var properties;
+    options = options || {};
+    properties = angular.extend({}, options.properties);
+    this.getId = function () {
+      return options.id;
+    };
+    this.getGeometry = function () {
+      return options.geometry;
+    };
+    this.getProperty = function (name) {
+      return properties[name];
+    };
+    this.setProperty = function (name, value) {
+      properties[name] = value;
+    };
+    this.removeProperty = function (name) {
+      delete properties[name];
+    };
+    this.forEachProperty = function (callback) {
+      angular.forEach(angular.extend({}, properties), callback);
+    };
+  };
+
+  maps.Data.prototype.add = function (feature) {
+    this.__features.push(feature);
+    maps.event.trigger(this, 'addfeature', {feature: feature});
+    return feature;
+  };
+
+  maps.Data.prototype.remove = function (feature) {
+    var index = this.__features.indexOf(feature);
+    if (index !== -1) {
+      this.__features.splice(index, 1);
+      maps.event.trigger(this, 'removefeature', {feature: feature});
+    }
+  };
+
+  maps.Data.prototype.forEach = function (callback) {
+    angular.forEach(this.__features.slice(), callback);
+  };
+
+  maps.Data.prototype.addGeoJson = function (geojson) {
+    var self = this;
+    return (geojson.type === 'FeatureCollection' ? geojson.features : [geojson]).map(function (item) {
+      return self.add(new maps.Data.Feature(item));
+    });
+  };
+
+  /**
+   * will load a feature which id is the url
+   */
+  maps.Data.prototype.loadGeoJson = function (url, options, callback) {
+    var self = this;
+    setTimeout(function () {
+      var features = self.addGeoJson({type: 'Feature', id: url, properties: {}});
+      if (callback) {
+        callback(features);
+      }
+    });
+  };
+
+  maps.places = {};
+
+  maps.places.Autocomplete = createGenericObject({
+    prop: 'bounds types componentRestrictions place:get options',
+    constructor: function (input, options) {
+      this.__data.input = input;
+      angular.extend(this.__data, options);
+    }
+  });
+
+  maps.places.Autocomplete.prototype.bindTo = function (key, target) {
+    this.__data.__bindTo = this.__data.__bindTo || {};
+    this.__data.__bindTo[key] = target;
+  };
+
+  /**
+   * simulate a prediction selected by the user
+   */
+  maps.places.Autocomplete.prototype.__select = function (place, text) {
+    this.__data.place = place;
+    this.__data.input.value = text;
+    maps.event.trigger(this, 'place_changed');
+  };
+
+  maps.places.PlacesServiceStatus = {
+    INVALID_REQUEST: "INVALID_REQUEST",
+    OK: "OK",
+    OVER_QUERY_LIMIT: "OVER_QUERY_LIMIT",
+    REQUEST_DENIED: "REQUEST_DENIED",
+    UNKNOWN_ERROR: "UNKNOWN_ERROR",
+    ZERO_RESULTS: "ZERO_RESULTS"
+  };
+
+  /**
+   * searches return 2 results by page on 3 pages: {name: keyword|query + page + index, request}
+   * if keyword or query equal one of the PlacesServiceStatus, will return this status as result
+   */
+  maps.places.PlacesService = function (target) {
+    var self = this;
+
+    this.__target = target;
+    this.__requests = [];
+
+    function search(request, callback) {
+      var page = 0,
+        text = request.query || request.keyword || '';
+
+      self.__requests.push(request);
+
+      function next() {
+        setTimeout(function () {
+          var results = [];
+          page++;
+          if (text in maps.places.PlacesServiceStatus) {
+            callback(results, text, null);
+          } else {
+            results.push({name: text + page + '0', request: request});
+            results.push({name: text + page + '1', request: request});
+            callback(results, maps.places.PlacesServiceStatus.OK, {hasNextPage: page < 3, nextPage: next});
+          }
+        });
+      }
+
+      next();
+    }
+
+    this.nearbySearch = search;
+    this.textSearch = search;
+  };
+
   maps.GroundOverlay = createGenericObject({
     prop: 'bounds:get map opacity url:get options',
     constructor: function (url, bounds, options) {
@@ -172,8 +432,80 @@ var mokeGoogle = (function () {
     this.ne = function () {
       return ne;
     };
+
+    this.getSouthWest = this.sw;
+
+    this.getNorthEast = this.ne;
+  };
+
+  /**
+   * MVCArray which items are also available using their index (ie: array[0])
+   * @param array {Array}
+   */
+  maps.MVCArray = function (array) {
+    this.__events = {};
+    this.__array = array ? array.slice() : [];
+    this.__index();
+  };
+
+  maps.MVCArray.prototype = {
+    __index: function () {
+      var self = this, index = this.__array.length;
+      angular.forEach(this.__array, function (item, index) {
+        self[index] = item;
+      });
+      while (index in this) {
+        delete this[index];
+        index++;
+      }
+    },
+    getArray: function () {
+      return this.__array;
+    },
+    getAt: function (index) {
+      return this.__array[index];
+    },
+    getLength: function () {
+      return this.__array.length;
+    },
+    forEach: function (callback) {
+      angular.forEach(this.__array.slice(), callback);
+    },
+    setAt: function (index, item) {
+      var previous = this.__array[index];
+      this.__array[index] = item;
+      this.__index();
+      maps.event.trigger(this, 'set_at', index, previous);
+    },
+    insertAt: function (index, item) {
+      this.__array.splice(index, 0, item);
+      this.__index();
+      maps.event.trigger(this, 'insert_at', index);
+    },
+    removeAt: function (index) {
+      var previous = this.__array.splice(index, 1)[0];
+      this.__index();
+      maps.event.trigger(this, 'remove_at', index, previous);
+      return previous;
+    },
+    push: function (item) {
+      this.insertAt(this.__array.length, item);
+      return this.__array.length;
+    },
+    pop: function () {
+      return this.removeAt(this.__array.length - 1);
+    },
+    clear: function () {
+      while (this.__array.length) {
+        this.pop();
+      }
+    }
   };
 
+  function toMVCArray(array) {
+    return array instanceof maps.MVCArray ? array : new maps.MVCArray(array);
+  }
+
 
 
   maps.event = (function () {
@@ -181,10 +513,18 @@ var mokeGoogle = (function () {
     function add(obj, name, fn, once) {
       obj.__events[name] = (obj.__events[name] || []);
       obj.__events[name].push({fn: fn, once: once});
-      return obj.__events[name]. length - 1;
+      return {obj: obj, name: name, index: obj.__events[name].length - 1};
     }
 
     return {
+      removeListener: function (listener) {
+        if (listener && listener.obj.__events[listener.name]) {
+          listener.obj.__events[listener.name][listener.index] = null;
+        }
+      },
+      clearInstanceListeners: function (obj) {
+        obj.__events = {};
+      },
       addListener: function (obj, name, fn) {
         return add(obj, name, fn, false);
       },
@@ -192,13 +532,14 @@ var mokeGoogle = (function () {
         return add(obj, name, fn, true);
       },
       trigger: function (obj, name) {
+        var args = Array.prototype.slice.call(arguments, 2);
         if (obj && obj.__events && obj.__events[name]) {
           angular.forEach(obj.__events[name], function (item, key) {
             if (item) {
               if (item.once) {
                 obj.__events[name][key] = null;
               }
-              item.fn();
+              item.fn.apply(obj, args);
             }
           });
         }
@@ -207,14 +548,133 @@ var mokeGoogle = (function () {
   }());
 
 
+  /**
+   * result has one route (3 if provideRouteAlternatives) with one leg by waypoint + 1
+   * leg i distance is (i + 1) * 1000 meters, its duration is (i + 1) * 100 seconds
+   * route r summary is "route" then "route r", its overview_path is [r, r] to [r + 1, r + 1]
+   */
   maps.DirectionsService = function () {
     this.route = function (options, callback) {
       setTimeout(function () {
-        callback({options: options}, 'status');
+        var routes = [];
+        angular.forEach(options.provideRouteAlternatives ? [0, 1, 2] : [0], function (r) {
+          var legs = [];
+          angular.forEach((options.waypoints || []).concat([null]), function (waypoint, index) {
+            legs.push({
+              distance: {value: (index + 1) * 1000, text: (index + 1) + ' km'},
+              duration: {value: (index + 1) * 100, text: (index + 1) * 100 + ' s'},
+              steps: [{instructions: 'step ' + index}]
+            });
+          });
+          routes.push({
+            summary: r ? 'route ' + r : 'route',
+            legs: legs,
+            overview_path: [new maps.LatLng(r, r), new maps.LatLng(r + 1, r + 1)]
+          });
+        });
+        callback({options: options, routes: routes}, 'status');
       });
     }
   };
 
+  maps.ElevationStatus = {
+    INVALID_REQUEST: "INVALID_REQUEST",
+    OK: "OK",
+    OVER_QUERY_LIMIT: "OVER_QUERY_LIMIT",
+    REQUEST_DENIED: "REQUEST_DENIED",
+    UNKNOWN_ERROR: "UNKNOWN_ERROR"
+  };
+
+  /**
+   * elevation of a location is lat * 100 + lng meters
+   * samples along a path are linearly spread between its first and its last point
+   * more than 512 samples returns INVALID_REQUEST
+   * requests are stored in ElevationService.__requests
+   */
+  maps.ElevationService = function () {
+    function result(location) {
+      return {location: location, elevation: location.lat() * 100 + location.lng(), resolution: 1};
+    }
+
+    this.getElevationForLocations = function (options, callback) {
+      maps.ElevationService.__requests.push(options);
+      setTimeout(function () {
+        callback(options.locations.map(result), maps.ElevationStatus.OK);
+      });
+    };
+
+    this.getElevationAlongPath = function (options, callback) {
+      maps.ElevationService.__requests.push(options);
+      setTimeout(function () {
+        var index, ratio,
+          results = [],
+          first = options.path[0],
+          last = options.path[options.path.length - 1];
+        if (options.samples > 512) {
+          return callback(null, maps.ElevationStatus.INVALID_REQUEST);
+        }
+        for (index = 0; index < options.samples; index++) {
+          ratio = options.samples > 1 ? index / (options.samples - 1) : 0;
+          results.push(result(new maps.LatLng(
+            first.lat() + (last.lat() - first.lat()) * ratio,
+            first.lng() + (last.lng() - first.lng()) * ratio
+          )));
+        }
+        callback(results, maps.ElevationStatus.OK);
+      });
+    };
+  };
+
+  maps.ElevationService.__requests = [];
+
+  maps.DistanceMatrixStatus = {
+    INVALID_REQUEST: "INVALID_REQUEST",
+    MAX_DIMENSIONS_EXCEEDED: "MAX_DIMENSIONS_EXCEEDED",
+    MAX_ELEMENTS_EXCEEDED: "MAX_ELEMENTS_EXCEEDED",
+    OK: "OK",
+    OVER_QUERY_LIMIT: "OVER_QUERY_LIMIT",
+    REQUEST_DENIED: "REQUEST_DENIED",
+    UNKNOWN_ERROR: "UNKNOWN_ERROR"
+  };
+
+  /**
+   * distance of origin i to destination j is (i + 1) * 1000 + j meters, duration is distance / 10 seconds
+   * a destination equal to "NOT_FOUND" returns a NOT_FOUND element
+   * if travelMode equal one of the DistanceMatrixStatus (except OK), will return this status as result
+   */
+  maps.DistanceMatrixService = function () {
+    this.getDistanceMatrix = function (options, callback) {
+      setTimeout(function () {
+        var response;
+        if (options.travelMode in maps.DistanceMatrixStatus && options.travelMode !== 'OK') {
+          callback(null, options.travelMode);
+          return;
+        }
+        response = {
+          options: options,
+          originAddresses: options.origins.map(String),
+          destinationAddresses: options.destinations.map(String),
+          rows: options.origins.map(function (origin, i) {
+            return {
+              elements: options.destinations.map(function (destination, j) {
+                var distance = (i + 1) * 1000 + j;
+                if (destination === 'NOT_FOUND') {
+                  return {status: 'NOT_FOUND'};
+                }
+                return {
+                  status: 'OK',
+                  distance: {value: distance, text: distance / 1000 + ' km'},
+                  duration: {value: distance / 10, text: distance / 600 + ' mins'}
+                };
+              })
+            };
+          })
+        };
+        callback(response, maps.DistanceMatrixStatus.OK);
+      });
+    };
+  };
+
   maps.GeocoderStatus = {
     ERROR: "ERROR",
     INVALID_REQUEST: "INVALID_REQUEST",
@@ -230,21 +690,44 @@ var mokeGoogle = (function () {
     /**
      * will return LatLng using address: e.g:  100,200 => LatLng(100,200)
      * if address.options equal one of the GeocoderStatus, will return this status as result
+     * reverse geocoding (options.location) returns the address "lat,lng"
+     * results embed the request, requests are stored in maps.Geocoder.__requests
+     * statuses of maps.Geocoder.__failures[address] are returned first
      * @param options
      * @param callback
      */
     this.geocode = function (options, callback) {
+      maps.Geocoder.__requests.push(options);
       setTimeout(function () {
         var values, results, status;
-        if (options.address in maps.GeocoderStatus) {
+        if ((maps.Geocoder.__failures[options.address] || []).length) {
+          status = maps.Geocoder.__failures[options.address].shift();
+        } else if (options.location) {
+          results = [
+            {
+              formatted_address: options.location.lat() + ',' + options.location.lng(),
+              address_components: [
+                {long_name: '' + options.location.lat(), short_name: '' + options.location.lat(), types: ['lat']},
+                {long_name: '' + options.location.lng(), short_name: '' + options.location.lng(), types: ['lng']}
+              ],
+              geometry: {
+                location: options.location
+              },
+              request: options
+            }
+          ];
+          status = maps.GeocoderStatus.OK;
+        } else if (options.address in maps.GeocoderStatus) {
           status = options.address;
         } else {
           values = options.address.split(',');
           results = [
             {
+              formatted_address: options.address,
               geometry: {
                 location: new maps.LatLng(1*values[0], 1*values[1])
-              }
+              },
+              request: options
             }
           ];
           status = maps.GeocoderStatus.OK;
@@ -255,5 +738,8 @@ var mokeGoogle = (function () {
   };
 
 
+  maps.Geocoder.__requests = [];
+  maps.Geocoder.__failures = {};
+
   return {maps: maps}
 }());
\ No newline at end of file
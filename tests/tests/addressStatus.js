@@ -0,0 +1,169 @@
+describe('gm-address status', function () {
+
+  var provider, $compile, $document, $window, $rootScope, $scope, $q, $parse, $timeout,
+    element, googleMaps;
+
+
+  //---------------------------------------------------------------------------
+  // Load Library
+  //---------------------------------------------------------------------------
+
+  beforeEach(function () {
+    var fakeModule = angular.module('test.geocoder.config', function () {});
+
+    fakeModule.config(function (gmLibraryProvider) {
+      provider = gmLibraryProvider;
+    });
+
+    module('GoogleMapsNative', 'test.geocoder.config');
+  });
+
+  testTools.mokeGMLibrary();
+
+
+  //---------------------------------------------------------------------------
+  // Inject required
+  //---------------------------------------------------------------------------
+  beforeEach(inject(function(_$compile_, _$window_, _$document_, _$rootScope_, _$q_, _$parse_, _$timeout_) {
+    $compile = _$compile_;
+    $window = _$window_;
+    $document = _$document_;
+    $rootScope = _$rootScope_;
+    $q = _$q_;
+    $parse =_$parse_;
+    $timeout = _$timeout_;
+    $scope = $rootScope.$new();
+    googleMaps = $rootScope.google.maps;
+
+    // disable the geocoder rate limit
+    provider.configure({geocoder: {rate: 0}});
+    provider.$get[6]($document, $window, $rootScope, $q, $parse, $timeout);
+  }));
+
+
+  //---------------------------------------------------------------------------
+  // TESTS
+  //---------------------------------------------------------------------------
+
+  function compile(template) {
+    element = $compile('<gm-map options="{center: [37, -122], zoom: 8}">' + template + '</gm-map>')($scope);
+    $scope.$digest();
+    $timeout.flush();
+  }
+
+  function markerScopes() {
+    var scopes = [];
+    angular.forEach(element.find('gm-marker'), function (item) {
+      scopes.push(angular.element(item).scope());
+    });
+    return scopes;
+  }
+
+  it('test status', function (done) {
+    $scope.rows = [{address: '1,2'}, {address: 'ZERO_RESULTS'}, {address: 'REQUEST_DENIED'}];
+    compile('<gm-marker ng-repeat="row in rows" gm-address="row.address"></gm-marker>');
+
+    markerScopes().forEach(function (scope, index) {
+      expect(scope.addressStatus).to.be.deep.equal({status: 'pending', address: $scope.rows[index].address});
+    });
+
+    setTimeout(function() {
+      var scopes;
+      $scope.$digest();
+      scopes = markerScopes();
+
+      expect(scopes[0].addressStatus.status).to.be.equal('ok');
+      expect(scopes[0].addressStatus.geocoderStatus).to.be.equal(googleMaps.GeocoderStatus.OK);
+      expect(scopes[0].marker instanceof googleMaps.Marker).to.be.equal(true);
+
+      expect(scopes[1].addressStatus.status).to.be.equal('zero-results');
+      expect(scopes[1].addressStatus.geocoderStatus).to.be.equal(googleMaps.GeocoderStatus.ZERO_RESULTS);
+      expect(scopes[1].marker).to.be.an('undefined');
+
+      expect(scopes[2].addressStatus.status).to.be.equal('error');
+      expect(scopes[2].addressStatus.geocoderStatus).to.be.equal(googleMaps.GeocoderStatus.REQUEST_DENIED);
+      done();
+    }, 10);
+  });
+
+  it('test status update', function (done) {
+    $scope.row = {address: 'ZERO_RESULTS'};
+    compile('<gm-marker gm-address="row.address"></gm-marker>');
+
+    setTimeout(function() {
+      $scope.$digest();
+      expect(markerScopes()[0].addressStatus.status).to.be.equal('zero-results');
+
+      $scope.row.address = '1,2';
+      $scope.$digest();
+      expect(markerScopes()[0].addressStatus.status).to.be.equal('pending');
+
+      setTimeout(function() {
+        $scope.$digest();
+        expect(markerScopes()[0].addressStatus.status).to.be.equal('ok');
+        testTools.test.latLng(markerScopes()[0].marker.getPosition(), 1, 2);
+        done();
+      }, 10);
+    }, 10);
+  });
+
+  it('test callbacks', function (done) {
+    $scope.resolved = [];
+    $scope.errors = [];
+    $scope.rows = [{address: '1,2'}, {address: 'ZERO_RESULTS'}];
+    compile(
+      '<gm-marker ng-repeat="row in rows" gm-address="row.address" ' +
+      'on-address-resolved="resolved.push({row: row, latLng: latLng, results: results})" ' +
+      'on-address-error="errors.push({row: row, status: status})"></gm-marker>'
+    );
+
+    setTimeout(function() {
+      $scope.$digest();
+      expect($scope.resolved.length).to.be.equal(1);
+      expect($scope.resolved[0].row).to.be.equal($scope.rows[0]);
+      testTools.test.latLng($scope.resolved[0].latLng, 1, 2);
+      expect($scope.resolved[0].results.length).to.be.equal(1);
+
+      expect($scope.errors).to.be.deep.equal([{row: $scope.rows[1], status: googleMaps.GeocoderStatus.ZERO_RESULTS}]);
+      done();
+    }, 10);
+  });
+
+  it('test same address on map and marker', function (done) {
+    $scope.resolved = [];
+    element = $compile(
+      '<gm-map gm-address="\'1,2\'" options="{zoom: 8}" on-address-resolved="resolved.push(\'map\')">' +
+        '<gm-marker gm-address="\'1,2\'" on-address-resolved="resolved.push(\'marker\')"></gm-marker>' +
+      '</gm-map>'
+    )($scope);
+    $scope.$digest();
+
+    setTimeout(function() {
+      $scope.$digest();
+      $timeout.flush();
+      setTimeout(function() {
+        var scope;
+        $scope.$digest();
+        scope = markerScopes()[0];
+        expect($scope.resolved).to.be.deep.equal(['map', 'marker']);
+        expect(scope.hasOwnProperty('addressStatus')).to.be.equal(true);
+        expect(scope.addressStatus === element.scope().addressStatus).to.be.equal(false);
+        expect(scope.addressStatus.status).to.be.equal('ok');
+        done();
+      }, 10);
+    }, 10);
+  });
+
+  it('test map status', function (done) {
+    element = $compile('<gm-map gm-address="\'ZERO_RESULTS\'" options="{zoom: 8}"></gm-map>')($scope);
+    $scope.$digest();
+
+    setTimeout(function() {
+      $scope.$digest();
+      expect(element.scope().addressStatus.status).to.be.equal('zero-results');
+      expect(element.scope().map).to.be.an('undefined');
+      done();
+    }, 10);
+  });
+
+});
@@ -0,0 +1,156 @@
+describe('Route alternatives', function () {
+
+  var $compile, $rootScope, $scope, $timeout,
+    element, scope, googleMaps, Polyline, polylines;
+
+
+  //---------------------------------------------------------------------------
+  // Load Library
+  //---------------------------------------------------------------------------
+
+  testTools.mokeGMLibrary();
+
+
+  //---------------------------------------------------------------------------
+  // Inject required
+  //---------------------------------------------------------------------------
+  beforeEach(inject(function(_$rootScope_, _$timeout_, _$compile_) {
+    $rootScope = _$rootScope_;
+    $timeout = _$timeout_;
+    $compile = _$compile_;
+    $scope = $rootScope.$new();
+    googleMaps = $rootScope.google.maps;
+
+    // keep track of the created polylines
+    polylines = [];
+    Polyline = googleMaps.Polyline;
+    googleMaps.Polyline = function (options) {
+      var polyline = new Polyline(options);
+      polylines.push(polyline);
+      return polyline;
+    };
+  }));
+
+  afterEach(function () {
+    mokeGoogle.maps.Polyline = Polyline;
+  });
+
+
+  //---------------------------------------------------------------------------
+  // TESTS
+  //---------------------------------------------------------------------------
+
+  function compile(template) {
+    element = $compile(
+      '<div>' +
+        '<gm-map options="{center: [37, -122], zoom: 8}">' +
+          '<gm-directions provide-route-alternatives="alternatives" options="{origin: \'from\', destination: \'to\', travelMode: \'mode\'}">' +
+            template +
+          '</gm-directions>' +
+        '</gm-map>' +
+      '</div>')($scope);
+    $scope.$digest();
+    $timeout.flush();
+  }
+
+  function visible() {
+    return polylines.filter(function (polyline) {
+      return !!polyline.getMap();
+    });
+  }
+
+  it('test provideRouteAlternatives request', function (done) {
+    $scope.alternatives = true;
+    compile('<gm-renderer></gm-renderer>');
+
+    setTimeout(function() {
+      scope = element.find('gm-renderer').scope();
+      $rootScope.$digest(); // required to get the directions promise run
+      expect(scope.directions.result.options.provideRouteAlternatives).to.be.equal(true);
+      expect(scope.directions.result.routes.length).to.be.equal(3);
+
+      $scope.alternatives = false;
+      $scope.$digest();
+      setTimeout(function() {
+        expect(scope.directions.result.options.provideRouteAlternatives).to.be.equal(false);
+        expect(scope.directions.result.routes.length).to.be.equal(1);
+        done();
+      }, 10);
+    }, 10);
+  });
+
+  it('test route-index two way binding', function (done) {
+    $scope.alternatives = true;
+    $scope.selection = {index: 1};
+    compile('<gm-renderer route-index="selection.index"></gm-renderer>');
+
+    setTimeout(function() {
+      scope = element.find('gm-renderer').scope();
+      $rootScope.$digest(); // required to get the directions promise run
+      expect(scope.renderer.getRouteIndex()).to.be.equal(1);
+
+      $scope.selection.index = 2;
+      $scope.$digest();
+      expect(scope.renderer.getRouteIndex()).to.be.equal(2);
+
+      scope.renderer.setRouteIndex(0);
+      $timeout.flush();
+      expect($scope.selection.index).to.be.equal(0);
+      done();
+    }, 10);
+  });
+
+  it('test faded alternatives', function (done) {
+    $scope.alternatives = true;
+    $scope.selection = {};
+    compile('<gm-renderer routeIndex="selection.index" alternatives="{strokeColor: \'#FF0000\'}"></gm-renderer>');
+
+    setTimeout(function() {
+      var lines;
+      scope = element.find('gm-renderer').scope();
+      $rootScope.$digest(); // required to get the directions promise run
+      googleMaps.event.trigger(scope.renderer, 'directions_changed');
+
+      lines = visible();
+      expect(lines.length).to.be.equal(2);
+      expect(lines[0].getMap() === scope.map).to.be.equal(true);
+      expect(lines[0].__data.strokeColor).to.be.equal('#FF0000');
+      expect(lines[0].__data.strokeOpacity).to.be.equal(0.5);
+      testTools.test.latLng(lines[0].getPath().getAt(0), 1, 1);
+      testTools.test.latLng(lines[1].getPath().getAt(0), 2, 2);
+
+      // select the route 2 by clicking on it
+      googleMaps.event.trigger(lines[1], 'click');
+      $timeout.flush();
+      expect(scope.renderer.getRouteIndex()).to.be.equal(2);
+      expect($scope.selection.index).to.be.equal(2);
+
+      lines = visible();
+      expect(lines.length).to.be.equal(2);
+      testTools.test.latLng(lines[0].getPath().getAt(0), 0, 0);
+      testTools.test.latLng(lines[1].getPath().getAt(0), 1, 1);
+
+      // alternatives are removed with the renderer
+      element.find('gm-renderer').scope().$destroy();
+      expect(visible().length).to.be.equal(0);
+      done();
+    }, 10);
+  });
+
+  it('test panel route-index', function (done) {
+    $scope.alternatives = true;
+    $scope.selection = {index: 0};
+    compile('<gm-directions-panel route-index="selection.index"></gm-directions-panel>');
+
+    setTimeout(function() {
+      scope = element.find('gm-directions-panel').scope();
+      expect(scope.route.summary).to.be.equal('route');
+
+      $scope.selection.index = 2;
+      $scope.$digest();
+      expect(scope.route.summary).to.be.equal('route 2');
+      done();
+    }, 10);
+  });
+
+});
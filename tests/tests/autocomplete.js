@@ -0,0 +1,161 @@
+describe('gmAutocomplete', function () {
+
+  var $compile, $rootScope, $scope, $timeout,
+    element, googleMaps;
+
+
+  //---------------------------------------------------------------------------
+  // Load Library
+  //---------------------------------------------------------------------------
+
+  testTools.mokeGMLibrary();
+
+
+  //---------------------------------------------------------------------------
+  // Inject required
+  //---------------------------------------------------------------------------
+  beforeEach(inject(function(_$rootScope_, _$timeout_, _$compile_) {
+    $rootScope = _$rootScope_;
+    $timeout = _$timeout_;
+    $compile = _$compile_;
+    $scope = $rootScope.$new();
+    $scope.data = {};
+    googleMaps = $rootScope.google.maps;
+  }));
+
+
+  //---------------------------------------------------------------------------
+  // TESTS
+  //---------------------------------------------------------------------------
+
+  function compile(template) {
+    element = $compile(template)($scope);
+    $scope.$digest();
+  }
+
+  it('test simple case', function () {
+    compile('<input gm-autocomplete ng-model="data.place" gm-then="data.autocomplete = autocomplete">');
+    expect($scope.data.autocomplete instanceof googleMaps.places.Autocomplete).to.be.equal(true);
+    expect($scope.data.autocomplete.__data.input === element[0]).to.be.equal(true);
+  });
+
+  it('test ng-model', function () {
+    var place = {name: 'Paris', formatted_address: 'Paris, France'};
+    compile('<input gm-autocomplete ng-model="data.place" gm-then="data.autocomplete = autocomplete">');
+
+    $scope.data.autocomplete.__select(place, 'Paris, France');
+    expect($scope.data.place).to.be.equal(place);
+    expect(element.val()).to.be.equal('Paris, France');
+
+    // typing invalidates the selection
+    element.val('Pari');
+    element.triggerHandler('input');
+    expect($scope.data.place).to.be.equal(null);
+
+    // model to view
+    $scope.data.place = {name: 'Lyon', formatted_address: 'Lyon, France'};
+    $scope.$digest();
+    expect(element.val()).to.be.equal('Lyon, France');
+
+    $scope.data.place = 'Marseille';
+    $scope.$digest();
+    expect(element.val()).to.be.equal('Marseille');
+  });
+
+  it('test ng-model pipeline', function () {
+    var place = {name: 'Paris', formatted_address: 'Paris, France'};
+    $scope.data.changes = 0;
+    compile('<form name="form"><input name="place" gm-autocomplete ng-model="data.place" ng-change="data.changes = data.changes + 1" gm-then="data.autocomplete = autocomplete"></form>');
+    element = element.find('input');
+
+    $scope.data.autocomplete.__select(place, 'Paris, France');
+    expect($scope.data.place).to.be.equal(place);
+    expect($scope.data.changes).to.be.above(0);
+    expect($scope.form.place.$dirty).to.be.equal(true);
+
+    // the selected text has been fully typed
+    element.val('Lyon, France');
+    element.triggerHandler('input');
+    expect($scope.data.place).to.be.equal(null);
+    place = {name: 'Lyon', formatted_address: 'Lyon, France'};
+    $scope.data.autocomplete.__select(place, 'Lyon, France');
+    expect($scope.data.place).to.be.equal(place);
+    expect(element.val()).to.be.equal('Lyon, France');
+  });
+
+  it('test projection', function () {
+    var location = new googleMaps.LatLng(1, 2);
+    compile('<input gm-autocomplete ng-model="data.location" projection="place.geometry.location" gm-then="data.autocomplete = autocomplete">');
+
+    $scope.data.autocomplete.__select({name: 'Somewhere', geometry: {location: location}}, 'Somewhere');
+    expect($scope.data.location).to.be.equal(location);
+    expect(element.val()).to.be.equal('Somewhere');
+  });
+
+  it('test on-place-changed', function () {
+    var place = {name: 'Paris'};
+    compile('<input gm-autocomplete on-place-changed="data.selected = place" gm-then="data.autocomplete = autocomplete">');
+    $scope.data.autocomplete.__select(place, 'Paris');
+    $timeout.flush();
+    expect($scope.data.selected).to.be.equal(place);
+  });
+
+  it('test options', function () {
+    var autocomplete;
+    $scope.data.types = ['(cities)'];
+    $scope.data.restrictions = {country: 'fr'};
+    $scope.data.bounds = [1, 2, 3, 4];
+    compile('<input gm-autocomplete types="data.types" componentRestrictions="data.restrictions" bounds="data.bounds" gm-then="data.autocomplete = autocomplete">');
+    autocomplete = $scope.data.autocomplete;
+
+    expect(autocomplete.getTypes()).to.be.deep.equal(['(cities)']);
+    expect(autocomplete.getComponentRestrictions()).to.be.deep.equal({country: 'fr'});
+    testTools.test.latLngBounds(autocomplete.getBounds(), 1, 2, 3, 4);
+
+    $scope.data.restrictions = {country: 'de'};
+    $scope.data.bounds = [5, 6, 7, 8];
+    $scope.$digest();
+    expect(autocomplete.getComponentRestrictions()).to.be.deep.equal({country: 'de'});
+    testTools.test.latLngBounds(autocomplete.getBounds(), 5, 6, 7, 8);
+  });
+
+  it('test map viewport bias', function () {
+    var map;
+    element = $compile('<gm-map options="{center: [37, -122], zoom: 8}"><input gm-autocomplete gm-then="data.autocomplete = autocomplete"></gm-map>')($scope);
+    $scope.$digest();
+    $timeout.flush();
+    map = element.scope().map;
+    expect($scope.data.autocomplete.__data.__bindTo.bounds === map).to.be.equal(true);
+  });
+
+  it('test no map bias with explicit bounds', function () {
+    $scope.data.bounds = [1, 2, 3, 4];
+    element = $compile('<gm-map options="{center: [37, -122], zoom: 8}"><input gm-autocomplete bounds="data.bounds" gm-then="data.autocomplete = autocomplete"></gm-map>')($scope);
+    $scope.$digest();
+    $timeout.flush();
+    expect($scope.data.autocomplete.__data.__bindTo).to.be.an('undefined');
+  });
+
+  it('test missing library', function () {
+    var messages = [],
+      consoleError = console.error,
+      places = googleMaps.places;
+
+    console.error = function () {
+      messages.push(Array.prototype.join.call(arguments, ' '));
+    };
+    delete googleMaps.places;
+
+    try {
+      compile('<input gm-autocomplete ng-model="data.place" gm-then="data.autocomplete = autocomplete">');
+    } finally {
+      console.error = consoleError;
+      googleMaps.places = places;
+    }
+
+    expect(messages.length).to.be.equal(2);
+    expect(messages[1]).to.contain('gm-autocomplete: google.maps.places library not found');
+    expect($scope.data.autocomplete).to.be.an('undefined');
+  });
+
+});
@@ -0,0 +1,296 @@
+describe('gmCluster', function () {
+
+  var $compile, $rootScope, $scope, $timeout,
+    element, scope, googleMaps;
+
+
+  //---------------------------------------------------------------------------
+  // Load Library
+  //---------------------------------------------------------------------------
+
+  testTools.mokeGMLibrary();
+
+
+  //---------------------------------------------------------------------------
+  // Inject required
+  //---------------------------------------------------------------------------
+  beforeEach(inject(function(_$rootScope_, _$timeout_, _$compile_) {
+    $rootScope = _$rootScope_;
+    $timeout = _$timeout_;
+    $compile = _$compile_;
+    $scope = $rootScope.$new();
+    googleMaps = $rootScope.google.maps;
+  }));
+
+
+  //---------------------------------------------------------------------------
+  // TESTS
+  //---------------------------------------------------------------------------
+
+  function compile(template) {
+    element = $compile('<gm-map options="{center: [37, -122], zoom: 8}">' + template + '</gm-map>')($scope);
+    $scope.$digest();
+    $timeout.flush();
+    element = element.find('gm-cluster');
+    scope = element.scope();
+  }
+
+  function markers() {
+    var result = [];
+    angular.forEach(element.find('gm-marker'), function (item) {
+      result.push(angular.element(item).scope().marker);
+    });
+    return result;
+  }
+
+  it('test simple case', function () {
+    var list;
+
+    compile(
+      '<gm-cluster>' +
+        '<gm-marker options="{position: [1, 2]}"></gm-marker>' +
+        '<gm-marker options="{position: [1.001, 2.001]}"></gm-marker>' +
+        '<gm-marker options="{position: [10, 20]}"></gm-marker>' +
+      '</gm-cluster>'
+    );
+
+    list = markers();
+
+    expect(scope.clusters.length).to.be.equal(1);
+    expect(scope.clusters[0].count).to.be.equal(2);
+    expect(scope.clusters[0].markers).to.be.deep.equal([list[0], list[1]]);
+    expect(scope.clusters[0].marker instanceof googleMaps.Marker).to.be.equal(true);
+    expect(scope.clusters[0].marker.getMap() === scope.map).to.be.equal(true);
+    expect(scope.clusters[0].marker.getLabel()).to.be.equal('2');
+    expect(scope.clusters[0].center.lat()).to.be.closeTo(1.0005, 1e-9);
+    expect(scope.clusters[0].center.lng()).to.be.closeTo(2.0005, 1e-9);
+    testTools.test.latLngBounds(scope.clusters[0].bounds, 1.001, 2.001, 1, 2);
+
+    expect(list[0].getMap()).to.be.an('null');
+    expect(list[1].getMap()).to.be.an('null');
+    expect(list[2].getMap() === scope.map).to.be.equal(true);
+  });
+
+  it('test zoom', function () {
+    var list;
+
+    compile(
+      '<gm-cluster options="{maxZoom: 15}">' +
+        '<gm-marker options="{position: [1, 2]}"></gm-marker>' +
+        '<gm-marker options="{position: [1.001, 2.001]}"></gm-marker>' +
+      '</gm-cluster>'
+    );
+
+    list = markers();
+    expect(scope.clusters.length).to.be.equal(1);
+
+    // markers are in different cells
+    scope.map.setZoom(14);
+    googleMaps.event.trigger(scope.map, 'zoom_changed');
+    $rootScope.$digest(); // clusters are published asynchronously
+    expect(scope.clusters.length).to.be.equal(0);
+    expect(list[0].getMap() === scope.map).to.be.equal(true);
+    expect(list[1].getMap() === scope.map).to.be.equal(true);
+
+    // zoom out
+    scope.map.setZoom(2);
+    googleMaps.event.trigger(scope.map, 'idle');
+    $rootScope.$digest(); // clusters are published asynchronously
+    expect(scope.clusters.length).to.be.equal(1);
+    expect(list[0].getMap()).to.be.an('null');
+
+    // over max zoom
+    scope.map.setZoom(16);
+    googleMaps.event.trigger(scope.map, 'zoom_changed');
+    $rootScope.$digest(); // clusters are published asynchronously
+    expect(scope.clusters.length).to.be.equal(0);
+    expect(list[0].getMap() === scope.map).to.be.equal(true);
+  });
+
+  it('test click and events', function () {
+    var cluster;
+
+    $scope.data = {count: 0};
+
+    compile(
+      '<gm-cluster on-click="data.count = data.count + cluster.count">' +
+        '<gm-marker options="{position: [1, 2]}"></gm-marker>' +
+        '<gm-marker options="{position: [1.001, 2.001]}"></gm-marker>' +
+      '</gm-cluster>'
+    );
+
+    cluster = scope.clusters[0];
+    googleMaps.event.trigger(cluster.marker, 'click');
+    $scope.$digest();
+    $timeout.flush();
+
+    expect(scope.map.__get('__fitBounds') === cluster.bounds).to.be.equal(true);
+    expect($scope.data.count).to.be.equal(2);
+  });
+
+  it('test add / remove', function () {
+    $scope.list = [[1, 2]];
+
+    compile(
+      '<gm-cluster>' +
+        '<gm-marker ng-repeat="position in list" position="position"></gm-marker>' +
+      '</gm-cluster>'
+    );
+
+    expect(scope.clusters.length).to.be.equal(0);
+
+    $scope.list.push([1.001, 2.001]);
+    $scope.$digest();
+    $timeout.flush();
+    expect(scope.clusters.length).to.be.equal(1);
+
+    $scope.list.pop();
+    $scope.$digest();
+    $timeout.flush();
+    expect(scope.clusters.length).to.be.equal(0);
+    expect(markers()[0].getMap() === scope.map).to.be.equal(true);
+  });
+
+  it('test gm-markers', function () {
+    $scope.stores = [
+      {id: 1, location: [1, 2]},
+      {id: 2, location: [1.001, 2.001]}
+    ];
+
+    compile(
+      '<gm-cluster>' +
+        '<gm-markers items="stores" track-by="id" position="item.location"></gm-markers>' +
+      '</gm-cluster>'
+    );
+
+    expect(scope.clusters.length).to.be.equal(1);
+    expect(scope.clusters[0].count).to.be.equal(2);
+
+    $scope.stores.pop();
+    $scope.$digest();
+    $timeout.flush();
+    expect(scope.clusters.length).to.be.equal(0);
+  });
+
+  it('test destroy', function () {
+    var marker;
+
+    compile(
+      '<gm-cluster>' +
+        '<gm-marker options="{position: [1, 2]}"></gm-marker>' +
+        '<gm-marker options="{position: [1.001, 2.001]}"></gm-marker>' +
+      '</gm-cluster>'
+    );
+
+    marker = scope.clusters[0].marker;
+    scope.$destroy();
+    expect(marker.getMap()).to.be.an('null');
+  });
+
+  it('test hidden markers', function () {
+    var list;
+
+    $scope.visible = false;
+
+    compile(
+      '<gm-cluster>' +
+        '<gm-marker options="{position: [1, 2]}"></gm-marker>' +
+        '<gm-marker options="{position: [1.001, 2.001]}"></gm-marker>' +
+        '<gm-marker ng-show="visible" options="{position: [1.002, 2.002]}"></gm-marker>' +
+        '<gm-marker options="{position: [10, 20]}"></gm-marker>' +
+        '<gm-marker ng-hide="!visible" options="{position: [10.001, 20.001]}"></gm-marker>' +
+      '</gm-cluster>'
+    );
+
+    list = markers();
+    expect(scope.clusters.length).to.be.equal(1);
+    expect(scope.clusters[0].count).to.be.equal(2);
+    testTools.test.latLngBounds(scope.clusters[0].bounds, 1.001, 2.001, 1, 2);
+    expect(list[2].getMap()).not.to.be.ok;
+    expect(list[3].getMap() === scope.map).to.be.equal(true);
+    expect(list[4].getMap()).not.to.be.ok;
+
+    // shown markers are clustered
+    $scope.visible = true;
+    $scope.$digest();
+    $timeout.flush();
+    expect(scope.clusters.length).to.be.equal(2);
+    expect(scope.clusters[0].count).to.be.equal(3);
+    expect(scope.clusters[1].count).to.be.equal(2);
+    expect(list[2].getMap()).to.be.equal(null);
+    expect(list[4].getMap()).to.be.equal(null);
+
+    // hidden markers are not restored on the map
+    $scope.visible = false;
+    $scope.$digest();
+    $timeout.flush();
+    expect(scope.clusters.length).to.be.equal(1);
+    expect(list[3].getMap() === scope.map).to.be.equal(true);
+    expect(list[4].getMap()).to.be.equal(null);
+
+    // visible option
+    list[3].setVisible(false);
+    list[2].setVisible(false);
+    $scope.visible = true;
+    $scope.$digest();
+    $timeout.flush();
+    expect(scope.clusters.length).to.be.equal(1);
+    expect(scope.clusters[0].count).to.be.equal(2);
+  });
+
+  it('test hidden gm-markers', function () {
+    $scope.stores = [
+      {id: 1, location: [1, 2]},
+      {id: 2, location: [1.001, 2.001]}
+    ];
+    $scope.visible = false;
+
+    compile(
+      '<gm-cluster options="{maxZoom: 15}">' +
+        '<gm-markers ng-show="visible" items="stores" track-by="id" position="item.location"></gm-markers>' +
+      '</gm-cluster>'
+    );
+
+    expect(scope.clusters.length).to.be.equal(0);
+
+    // over max zoom, hidden markers stay hidden
+    scope.map.setZoom(30);
+    googleMaps.event.trigger(scope.map, 'zoom_changed');
+    $rootScope.$digest();
+    expect(element.find('gm-markers').scope().markers[0].getMap()).not.to.be.ok;
+
+    scope.map.setZoom(8);
+    $scope.visible = true;
+    $scope.$digest();
+    $timeout.flush();
+    expect(scope.clusters.length).to.be.equal(1);
+    expect(scope.clusters[0].count).to.be.equal(2);
+  });
+
+  it('test idle redraw', function () {
+    var marker;
+
+    compile(
+      '<gm-cluster>' +
+        '<gm-marker options="{position: [1, 2]}"></gm-marker>' +
+        '<gm-marker options="{position: [1.001, 2.001]}"></gm-marker>' +
+      '</gm-cluster>'
+    );
+
+    marker = scope.clusters[0].marker;
+
+    // panning does not change the clusters
+    googleMaps.event.trigger(scope.map, 'idle');
+    expect(scope.clusters[0].marker === marker).to.be.equal(true);
+    expect(marker.getMap() === scope.map).to.be.equal(true);
+
+    // clusters are published in a digest
+    scope.map.setZoom(2);
+    googleMaps.event.trigger(scope.map, 'idle');
+    expect(scope.clusters[0].marker === marker).to.be.equal(true);
+    $rootScope.$digest();
+    expect(scope.clusters[0].marker === marker).to.be.equal(false);
+    expect(marker.getMap()).to.be.equal(null);
+  });
+
+});
@@ -0,0 +1,114 @@
+describe('gmControl', function () {
+
+  var $compile, $rootScope, $scope, $timeout,
+    element, map, googleMaps;
+
+
+  //---------------------------------------------------------------------------
+  // Load Library
+  //---------------------------------------------------------------------------
+
+  testTools.mokeGMLibrary();
+
+
+  //---------------------------------------------------------------------------
+  // Inject required
+  //---------------------------------------------------------------------------
+  beforeEach(inject(function(_$rootScope_, _$timeout_, _$compile_) {
+    $rootScope = _$rootScope_;
+    $timeout = _$timeout_;
+    $compile = _$compile_;
+    $scope = $rootScope.$new();
+    googleMaps = $rootScope.google.maps;
+  }));
+
+
+  //---------------------------------------------------------------------------
+  // TESTS
+  //---------------------------------------------------------------------------
+
+  function compile(template) {
+    element = $compile('<gm-map options="{center: [37, -122], zoom: 8}">' + template + '</gm-map>')($scope);
+    $scope.$digest();
+    $timeout.flush();
+    map = element.scope().map;
+  }
+
+  function controls(position) {
+    return map.controls[googleMaps.ControlPosition[position]].getArray();
+  }
+
+  it('test transcluded content', function () {
+    $scope.label = 'locate me';
+    $scope.counter = {clicked: 0};
+    compile('<gm-control position="TOP_RIGHT" index="1"><button ng-click="counter.clicked = counter.clicked + 1">{{ label }}</button></gm-control>');
+
+    expect(controls('TOP_RIGHT').length).to.be.equal(1);
+    expect(controls('TOP_RIGHT')[0].index).to.be.equal(1);
+    expect(angular.element(controls('TOP_RIGHT')[0]).text()).to.be.equal('locate me');
+    // content is moved into the control
+    expect(element.find('gm-control').children().length).to.be.equal(0);
+
+    $scope.label = 'here';
+    $scope.$digest();
+    expect(angular.element(controls('TOP_RIGHT')[0]).text()).to.be.equal('here');
+
+    angular.element(controls('TOP_RIGHT')[0]).find('button').triggerHandler('click');
+    expect($scope.counter.clicked).to.be.equal(1);
+  });
+
+  it('test position and index update', function () {
+    $scope.position = 'bottom-left';
+    compile('<gm-control position="{{ position }}" index="{{ index }}"><span>legend</span></gm-control>');
+    expect(controls('BOTTOM_LEFT').length).to.be.equal(1);
+    expect('index' in controls('BOTTOM_LEFT')[0]).to.be.equal(false);
+
+    $scope.position = googleMaps.ControlPosition.LEFT_TOP;
+    $scope.index = 2;
+    $scope.$digest();
+    expect(controls('BOTTOM_LEFT').length).to.be.equal(0);
+    expect(controls('LEFT_TOP').length).to.be.equal(1);
+    expect(controls('LEFT_TOP')[0].index).to.be.equal(2);
+  });
+
+  it('test invalid position', function () {
+    compile('<gm-control position="NOWHERE"><span>legend</span></gm-control>');
+    angular.forEach(googleMaps.ControlPosition, function (value, position) {
+      expect(controls(position).length).to.be.equal(0);
+    });
+  });
+
+  it('test destroy', function () {
+    $scope.visible = true;
+    compile('<gm-control ng-if="visible" position="TOP_RIGHT"><span>{{ label }}</span></gm-control>');
+    expect(controls('TOP_RIGHT').length).to.be.equal(1);
+
+    $scope.visible = false;
+    $scope.$digest();
+    expect(controls('TOP_RIGHT').length).to.be.equal(0);
+
+    $scope.visible = true;
+    $scope.$digest();
+    expect(controls('TOP_RIGHT').length).to.be.equal(1);
+  });
+
+  it('test element removal', function () {
+    var control;
+    $scope.label = 'legend';
+    $scope.position = 'TOP_RIGHT';
+    compile('<gm-control position="{{ position }}"><span>{{ label }}</span></gm-control>');
+    control = controls('TOP_RIGHT')[0];
+    expect(angular.element(control).text()).to.be.equal('legend');
+
+    // the scope is kept alive
+    element.find('gm-control').remove();
+    expect(controls('TOP_RIGHT').length).to.be.equal(0);
+
+    $scope.label = 'updated';
+    $scope.position = 'BOTTOM_LEFT';
+    $scope.$digest();
+    expect(controls('BOTTOM_LEFT').length).to.be.equal(0);
+    expect(angular.element(control).text()).to.be.equal('legend');
+  });
+
+});
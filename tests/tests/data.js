@@ -0,0 +1,250 @@
+describe('gmData', function () {
+
+  var $compile, $rootScope, $scope, $timeout,
+    element, scope, googleMaps;
+
+
+  //---------------------------------------------------------------------------
+  // Load Library
+  //---------------------------------------------------------------------------
+
+  testTools.mokeGMLibrary();
+
+
+  //---------------------------------------------------------------------------
+  // Inject required
+  //---------------------------------------------------------------------------
+  beforeEach(inject(function(_$rootScope_, _$timeout_, _$compile_) {
+    $rootScope = _$rootScope_;
+    $timeout = _$timeout_;
+    $compile = _$compile_;
+    $scope = $rootScope.$new();
+    googleMaps = $rootScope.google.maps;
+  }));
+
+
+  //---------------------------------------------------------------------------
+  // TESTS
+  //---------------------------------------------------------------------------
+
+  function compile(template) {
+    element = $compile('<gm-map options="{center: [37, -122], zoom: 8}">' + template + '</gm-map>')($scope);
+    $scope.$digest();
+    $timeout.flush();
+    element = element.find('gm-data');
+    scope = element.scope();
+  }
+
+  function ids() {
+    var result = [];
+    scope.dataLayer.forEach(function (feature) {
+      result.push(feature.getId());
+    });
+    return result;
+  }
+
+  it('test simple case', function () {
+    compile('<gm-data></gm-data>');
+    expect(scope.map instanceof googleMaps.Map).to.be.equal(true);
+    expect(scope.dataLayer instanceof googleMaps.Data).to.be.equal(true);
+    expect(scope.dataLayer.getMap() === scope.map).to.be.equal(true);
+  });
+
+  it('test geojson', function () {
+    $scope.collection = {
+      type: 'FeatureCollection',
+      features: [
+        {type: 'Feature', id: 1, properties: {}, geometry: {type: 'Point', coordinates: [2, 1]}},
+        {type: 'Feature', id: 2, properties: {}, geometry: {type: 'Point', coordinates: [4, 3]}}
+      ]
+    };
+    compile('<gm-data geojson="collection"></gm-data>');
+    expect(ids()).to.be.deep.equal([1, 2]);
+
+    // collection changes
+    $scope.collection.features.push({type: 'Feature', id: 3, properties: {}, geometry: {type: 'Point', coordinates: [6, 5]}});
+    $scope.$digest();
+    expect(ids()).to.be.deep.equal([1, 2, 3]);
+
+    $scope.collection.features.splice(0, 1);
+    $scope.$digest();
+    expect(ids()).to.be.deep.equal([2, 3]);
+
+    // new object
+    $scope.collection = {type: 'Feature', id: 4, properties: {}, geometry: {type: 'Point', coordinates: [8, 7]}};
+    $scope.$digest();
+    expect(ids()).to.be.deep.equal([4]);
+
+    $scope.collection = undefined;
+    $scope.$digest();
+    expect(ids()).to.be.deep.equal([]);
+  });
+
+  it('test geojson diff', function () {
+    var features = {},
+      added = 0;
+    $scope.collection = {
+      type: 'FeatureCollection',
+      features: [
+        {type: 'Feature', id: 1, properties: {}},
+        {type: 'Feature', id: 2, properties: {}}
+      ]
+    };
+    compile('<gm-data geojson="collection"></gm-data>');
+    scope.dataLayer.forEach(function (feature) {
+      features[feature.getId()] = feature;
+    });
+    googleMaps.event.addListener(scope.dataLayer, 'addfeature', function () {
+      added++;
+    });
+
+    // unchanged features are kept
+    $scope.collection.features.push({type: 'Feature', id: 3, properties: {}});
+    $scope.collection.features.splice(0, 1);
+    $scope.$digest();
+    expect(ids()).to.be.deep.equal([2, 3]);
+    expect(added).to.be.equal(1);
+    scope.dataLayer.forEach(function (feature) {
+      if (feature.getId() === 2) {
+        expect(feature === features[2]).to.be.equal(true);
+      }
+    });
+
+    // a new object with the same id updates the feature
+    $scope.collection.features[0] = {type: 'Feature', id: 2, properties: {updated: true}};
+    $scope.$digest();
+    expect(ids()).to.be.deep.equal([2, 3]);
+    expect(added).to.be.equal(1);
+    scope.dataLayer.forEach(function (feature) {
+      if (feature.getId() === 2) {
+        expect(feature === features[2]).to.be.equal(true);
+        expect(feature.getProperty('updated')).to.be.equal(true);
+      }
+    });
+
+    // a new geometry replaces the feature
+    $scope.collection.features[0] = {type: 'Feature', id: 2, properties: {updated: true}, geometry: {type: 'Point', coordinates: [1, 2]}};
+    $scope.$digest();
+    expect(ids()).to.be.deep.equal([3, 2]);
+    expect(added).to.be.equal(2);
+  });
+
+  it('test url', function (done) {
+    $scope.url = 'http://url1';
+    compile('<gm-data url="url"></gm-data>');
+
+    setTimeout(function () {
+      expect(ids()).to.be.deep.equal(['http://url1']);
+
+      $scope.url = 'http://url2';
+      $scope.$digest();
+      expect(ids()).to.be.deep.equal([]);
+
+      setTimeout(function () {
+        expect(ids()).to.be.deep.equal(['http://url2']);
+        done();
+      }, 10);
+    }, 10);
+  });
+
+  it('test style', function () {
+    var style, features;
+
+    $scope.colors = {a: 'red'};
+    $scope.collection = {
+      type: 'FeatureCollection',
+      features: [
+        {type: 'Feature', id: 1, properties: {kind: 'a'}},
+        {type: 'Feature', id: 2, properties: {kind: 'b'}}
+      ]
+    };
+    compile('<gm-data geojson="collection" style="{fillColor: colors[feature.getProperty(\'kind\')] || \'blue\'}"></gm-data>');
+
+    style = scope.dataLayer.getStyle();
+    expect(style).to.be.a('function');
+
+    features = [];
+    scope.dataLayer.forEach(function (feature) {
+      features.push(feature);
+    });
+    expect(style(features[0])).to.be.deep.equal({fillColor: 'red'});
+    expect(style(features[1])).to.be.deep.equal({fillColor: 'blue'});
+
+    // style is applied again on changes
+    $scope.colors.b = 'green';
+    $scope.$digest();
+    expect(scope.dataLayer.getStyle() === style).to.be.equal(false);
+    expect(scope.dataLayer.getStyle()(features[1])).to.be.deep.equal({fillColor: 'green'});
+
+    // no change, no new style
+    style = scope.dataLayer.getStyle();
+    $scope.$digest();
+    expect(scope.dataLayer.getStyle() === style).to.be.equal(true);
+  });
+
+  it('test style depending on a scope variable', function () {
+    var style;
+
+    $scope.selected = 'a';
+    $scope.collection = {
+      type: 'FeatureCollection',
+      features: [
+        {type: 'Feature', id: 1, properties: {kind: 'a'}},
+        {type: 'Feature', id: 2, properties: {kind: 'b'}}
+      ]
+    };
+    compile('<gm-data geojson="collection" style="feature.getProperty(\'kind\') === selected ? {strokeWeight: 3} : {strokeWeight: 1}"></gm-data>');
+    style = scope.dataLayer.getStyle();
+
+    $scope.selected = 'b';
+    $scope.$digest();
+    expect(scope.dataLayer.getStyle() === style).to.be.equal(false);
+  });
+
+  it('test style function', function () {
+    var feature = new googleMaps.Data.Feature({id: 1});
+    $scope.style = function (feature) {
+      return {title: 'feature ' + feature.getId()};
+    };
+    compile('<gm-data style="style"></gm-data>');
+    expect(scope.dataLayer.getStyle()(feature)).to.be.deep.equal({title: 'feature 1'});
+
+    // style is applied again on changes
+    $scope.style = function (feature) {
+      return {title: 'updated ' + feature.getId()};
+    };
+    $scope.$digest();
+    expect(scope.dataLayer.getStyle()(feature)).to.be.deep.equal({title: 'updated 1'});
+  });
+
+  it('test events', function () {
+    $scope.data = {
+      clicked: [],
+      added: []
+    };
+    $scope.collection = {type: 'Feature', id: 1, properties: {}};
+
+    compile('<gm-data geojson="collection" on-click="data.clicked.push(feature.getId())" on-addfeature="data.added.push(feature.getId())"></gm-data>');
+
+    googleMaps.event.trigger(scope.dataLayer, 'click', {feature: new googleMaps.Data.Feature({id: 2})});
+    $scope.$digest();
+    $timeout.flush();
+
+    expect(scope.data.added).to.be.deep.equal([1]);
+    expect(scope.data.clicked).to.be.deep.equal([2]);
+  });
+
+  it('test ng-show', function () {
+    compile('<gm-data ng-show="visible"></gm-data>');
+    expect(scope.dataLayer.getMap()).to.be.an('undefined');
+
+    $scope.visible = true;
+    $scope.$digest();
+    expect(scope.dataLayer.getMap() === scope.map).to.be.equal(true);
+
+    $scope.visible = false;
+    $scope.$digest();
+    expect(scope.dataLayer.getMap()).to.be.an('null');
+  });
+
+});
@@ -76,4 +76,82 @@ describe('gmDirections', function () {
     }, 10);
   });
 
+  it('test optional properties', function (done) {
+    $scope.waypoints = [[1, 2], {location: 'somewhere', stopover: false}];
+    compile(
+      '<gm-directions options="{origin: \'from\', destination: \'to\', travelMode: \'mode\'}" waypoints="waypoints" ' +
+      'optimizeWaypoints="true" avoidTolls="tolls" avoidHighways="false" transitOptions="{modes: [\'BUS\']}"></gm-directions>'
+    );
+
+    setTimeout(function() {
+      var options = scope.directions.result.options;
+      testTools.test.latLng(options.waypoints[0].location, 1, 2);
+      expect(options.waypoints[1]).to.be.deep.equal({location: 'somewhere', stopover: false});
+      expect(options.optimizeWaypoints).to.be.equal(true);
+      expect(options.avoidHighways).to.be.equal(false);
+      expect('avoidTolls' in options).to.be.equal(false);
+      expect(options.transitOptions).to.be.deep.equal({modes: ['BUS']});
+
+      // model is not modified by the cast
+      expect($scope.waypoints[0]).to.be.deep.equal([1, 2]);
+
+      $scope.tolls = true;
+      $scope.$digest();
+      setTimeout(function() {
+        expect(scope.directions.result.options.avoidTolls).to.be.equal(true);
+        done();
+      }, 10);
+    }, 10);
+  });
+
+  it('test loading', function (done) {
+    compile('<gm-directions origin="o" destination="\'to\'" travelMode="\'mode\'"></gm-directions>');
+    expect(scope.directions).to.be.an('undefined');
+
+    $scope.o = 'from';
+    $scope.$digest();
+    expect(scope.directions.loading).to.be.equal(true);
+
+    setTimeout(function() {
+      var directions = scope.directions;
+      expect(directions.loading).to.be.equal(false);
+      expect(directions.result.options.origin).to.be.equal('from');
+
+      $scope.o = 'from2';
+      $scope.$digest();
+      // previous result is kept while loading
+      expect(scope.directions === directions).to.be.equal(true);
+      expect(scope.directions.loading).to.be.equal(true);
+
+      setTimeout(function() {
+        expect(scope.directions.loading).to.be.equal(false);
+        expect(scope.directions.result.options.origin).to.be.equal('from2');
+        done();
+      }, 10);
+    }, 10);
+  });
+
+  it('test last request wins and on-route', function (done) {
+    $scope.routes = [];
+    $scope.o = 'from';
+    compile('<gm-directions origin="o" destination="\'to\'" travelMode="\'mode\'" on-route="routes.push({result: result, status: status})"></gm-directions>');
+    $scope.o = 'from2';
+    $scope.$digest();
+
+    setTimeout(function() {
+      expect($scope.routes.length).to.be.equal(1);
+      expect($scope.routes[0].result.options.origin).to.be.equal('from2');
+      expect($scope.routes[0].status).to.be.equal('status');
+      expect(scope.directions.result.options.origin).to.be.equal('from2');
+
+      $scope.o = 'from3';
+      $scope.$digest();
+      setTimeout(function() {
+        expect($scope.routes.length).to.be.equal(2);
+        expect($scope.routes[1].result.options.origin).to.be.equal('from3');
+        done();
+      }, 10);
+    }, 10);
+  });
+
 });
\ No newline at end of file
@@ -0,0 +1,135 @@
+describe('gmDirectionsPanel', function () {
+
+  var $compile, $rootScope, $scope, $timeout,
+    element, googleMaps;
+
+
+  //---------------------------------------------------------------------------
+  // Load Library
+  //---------------------------------------------------------------------------
+
+  testTools.mokeGMLibrary();
+
+
+  //---------------------------------------------------------------------------
+  // Inject required
+  //---------------------------------------------------------------------------
+  beforeEach(inject(function(_$rootScope_, _$timeout_, _$compile_) {
+    $rootScope = _$rootScope_;
+    $timeout = _$timeout_;
+    $compile = _$compile_;
+    $scope = $rootScope.$new();
+    googleMaps = $rootScope.google.maps;
+  }));
+
+
+  //---------------------------------------------------------------------------
+  // TESTS
+  //---------------------------------------------------------------------------
+
+  function compile(template) {
+    element = $compile(
+      '<div>' +
+        '<gm-map options="{center: [37, -122], zoom: 8}">' +
+          '<gm-directions waypoints="waypoints" options="{origin: \'from\', destination: \'to\', travelMode: \'mode\'}">' +
+            template +
+          '</gm-directions>' +
+        '</gm-map>' +
+      '</div>')($scope);
+    $scope.$digest();
+    $timeout.flush();
+  }
+
+  it('test renderer panel', function (done) {
+    var panel = document.createElement('div'),
+      other = document.createElement('div');
+    other.id = 'gm-directions-panel-test';
+    document.body.appendChild(other);
+
+    $scope.panel = panel;
+    compile('<gm-renderer panel="panel"></gm-renderer>');
+
+    setTimeout(function() {
+      var scope = element.find('gm-renderer').scope();
+      $rootScope.$digest(); // required to get the directions promise run
+      expect(scope.renderer.getPanel() === panel).to.be.equal(true);
+
+      $scope.panel = angular.element(other);
+      $scope.$digest();
+      expect(scope.renderer.getPanel() === other).to.be.equal(true);
+
+      $scope.panel = null;
+      $scope.$digest();
+      expect(scope.renderer.getPanel()).to.be.equal(null);
+
+      $scope.panel = 'gm-directions-panel-test';
+      $scope.$digest();
+      expect(scope.renderer.getPanel() === other).to.be.equal(true);
+
+      document.body.removeChild(other);
+      done();
+    }, 10);
+  });
+
+  it('test templated panel', function (done) {
+    $scope.waypoints = ['somewhere'];
+    compile(
+      '<gm-directions-panel>' +
+        '<ul><li ng-repeat="leg in route.legs"><span ng-repeat="step in leg.steps">{{ step.instructions }}</span></li></ul>' +
+      '</gm-directions-panel>'
+    );
+    var scope = element.find('gm-directions-panel').scope();
+    expect(scope.route).to.be.equal(null);
+
+    setTimeout(function() {
+      expect(scope.route.summary).to.be.equal('route');
+      expect(scope.route.legs.length).to.be.equal(2);
+      expect(scope.route.distance).to.be.equal(3000);
+      expect(scope.route.duration).to.be.equal(300);
+      expect(element.find('li').length).to.be.equal(2);
+      expect(element.find('span').eq(1).text()).to.be.equal('step 1');
+
+      $scope.waypoints = [];
+      $scope.$digest();
+      setTimeout(function() {
+        expect(scope.route.legs.length).to.be.equal(1);
+        expect(scope.route.distance).to.be.equal(1000);
+        expect(scope.route.duration).to.be.equal(100);
+        expect(element.find('li').length).to.be.equal(1);
+        done();
+      }, 10);
+    }, 10);
+  });
+
+  it('test directions attribute', function () {
+    $scope.result = {
+      routes: [{
+        summary: 'provided',
+        warnings: ['warning'],
+        legs: [
+          {distance: {value: 10}, duration: {value: 20}, steps: []},
+          {distance: {value: 30}, duration: {value: 40}, steps: []}
+        ]
+      }]
+    };
+    element = $compile('<gm-directions-panel directions="result"></gm-directions-panel>')($scope);
+    $scope.$digest();
+    var scope = element.scope();
+    expect(scope.route.summary).to.be.equal('provided');
+    expect(scope.route.warnings).to.be.deep.equal(['warning']);
+    expect(scope.route.distance).to.be.equal(40);
+    expect(scope.route.duration).to.be.equal(60);
+
+    // gmDirections scope value
+    $scope.result = {result: {routes: [{legs: [{distance: {value: 5}, duration: {value: 6}}]}]}, status: 'OK'};
+    $scope.$digest();
+    expect(scope.route.distance).to.be.equal(5);
+    expect(scope.route.duration).to.be.equal(6);
+    expect(scope.route.warnings).to.be.deep.equal([]);
+
+    $scope.result = null;
+    $scope.$digest();
+    expect(scope.route).to.be.equal(null);
+  });
+
+});
@@ -0,0 +1,140 @@
+describe('gmDistancematrix', function () {
+
+  var $compile, $rootScope, $scope, $timeout,
+    element, scope, googleMaps;
+
+
+  //---------------------------------------------------------------------------
+  // Load Library
+  //---------------------------------------------------------------------------
+
+  testTools.mokeGMLibrary();
+
+
+  //---------------------------------------------------------------------------
+  // Inject required
+  //---------------------------------------------------------------------------
+  beforeEach(inject(function(_$rootScope_, _$timeout_, _$compile_) {
+    $rootScope = _$rootScope_;
+    $timeout = _$timeout_;
+    $compile = _$compile_;
+    $scope = $rootScope.$new();
+    googleMaps = $rootScope.google.maps;
+  }));
+
+
+  //---------------------------------------------------------------------------
+  // TESTS
+  //---------------------------------------------------------------------------
+
+
+  function compile(template) {
+    element = $compile('<gm-map options="{center: [37, -122], zoom: 8}">' + template + '</gm-map>')($scope);
+    $scope.$digest();
+    $timeout.flush();
+    element = element.find('gm-distancematrix');
+    scope = element.scope();
+  }
+
+  it('test simple case', function (done) {
+    compile('<gm-distancematrix options="{origins: [[1, 2], \'from\'], destinations: \'to\', travelMode: \'mode\'}"></gm-distancematrix>');
+
+    setTimeout(function() {
+      var options;
+      expect(scope.distanceMatrix.status).to.be.equal(googleMaps.DistanceMatrixStatus.OK);
+      options = scope.distanceMatrix.result.options;
+      testTools.test.latLng(options.origins[0], 1, 2);
+      expect(options.origins[1]).to.be.equal('from');
+      expect(options.destinations).to.be.deep.equal(['to']);
+      expect(options.travelMode).to.be.equal('mode');
+      done();
+    }, 10);
+  });
+
+  it('test normalised matrix', function (done) {
+    compile('<gm-distancematrix origins="[\'a\', \'b\']" destinations="[\'c\', \'NOT_FOUND\']" travelMode="\'mode\'"></gm-distancematrix>');
+
+    setTimeout(function() {
+      var matrix = scope.distanceMatrix.matrix;
+      expect(matrix.length).to.be.equal(2);
+      expect(matrix[1][0]).to.be.deep.equal({
+        originIndex: 1,
+        destinationIndex: 0,
+        origin: 'b',
+        destination: 'c',
+        status: 'OK',
+        distance: 2000,
+        distanceText: '2 km',
+        duration: 200,
+        durationText: (2000 / 600) + ' mins',
+        durationInTraffic: undefined,
+        fare: undefined
+      });
+      expect(matrix[0][1].status).to.be.equal('NOT_FOUND');
+      expect(matrix[0][1].duration).to.be.an('undefined');
+      expect(scope.distanceMatrix.elements.length).to.be.equal(4);
+      expect(scope.distanceMatrix.elements[2] === matrix[1][0]).to.be.equal(true);
+      done();
+    }, 10);
+  });
+
+  it('test mandatory properties', function (done) {
+    compile('<gm-distancematrix origins="o" destinations="d" travelMode="t"></gm-distancematrix>');
+
+    setTimeout(function() {
+      expect(scope.distanceMatrix).to.be.an('undefined');
+      $scope.o = ['from'];
+      $scope.d = ['to'];
+      $scope.$digest();
+      setTimeout(function() {
+        expect(scope.distanceMatrix).to.be.an('undefined');
+        $scope.t = 'mode';
+        $scope.$digest();
+        setTimeout(function() {
+          expect(scope.distanceMatrix.elements.length).to.be.equal(1);
+          done();
+        }, 10);
+      }, 10);
+    }, 10);
+  });
+
+  it('test last request wins', function (done) {
+    $scope.o = ['a'];
+    compile('<gm-distancematrix origins="o" destinations="[\'c\']" travelMode="\'mode\'"></gm-distancematrix>');
+    $scope.o = ['b'];
+    $scope.$digest();
+
+    setTimeout(function() {
+      expect(scope.distanceMatrix.matrix[0][0].origin).to.be.equal('b');
+      done();
+    }, 10);
+  });
+
+  it('test collection changes', function (done) {
+    $scope.o = ['a'];
+    compile('<gm-distancematrix origins="o" destinations="[\'c\']" travelMode="\'mode\'"></gm-distancematrix>');
+
+    setTimeout(function() {
+      expect(scope.distanceMatrix.matrix.length).to.be.equal(1);
+      $scope.o.push('b');
+      $scope.$digest();
+      setTimeout(function() {
+        expect(scope.distanceMatrix.matrix.length).to.be.equal(2);
+        expect(scope.distanceMatrix.matrix[1][0].origin).to.be.equal('b');
+        done();
+      }, 10);
+    }, 10);
+  });
+
+  it('test status', function (done) {
+    compile('<gm-distancematrix origins="[\'a\']" destinations="[\'c\']" travelMode="\'MAX_ELEMENTS_EXCEEDED\'"></gm-distancematrix>');
+
+    setTimeout(function() {
+      expect(scope.distanceMatrix.status).to.be.equal(googleMaps.DistanceMatrixStatus.MAX_ELEMENTS_EXCEEDED);
+      expect(scope.distanceMatrix.matrix).to.be.deep.equal([]);
+      expect(scope.distanceMatrix.elements).to.be.deep.equal([]);
+      done();
+    }, 10);
+  });
+
+});
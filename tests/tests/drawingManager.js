@@ -0,0 +1,151 @@
+describe('gmDrawingmanager', function () {
+
+  var $compile, $rootScope, $scope, $timeout,
+    element, scope, googleMaps;
+
+
+  //---------------------------------------------------------------------------
+  // Load Library
+  //---------------------------------------------------------------------------
+
+  testTools.mokeGMLibrary();
+
+
+  //---------------------------------------------------------------------------
+  // Inject required
+  //---------------------------------------------------------------------------
+  beforeEach(inject(function(_$rootScope_, _$timeout_, _$compile_) {
+    $rootScope = _$rootScope_;
+    $timeout = _$timeout_;
+    $compile = _$compile_;
+    $scope = $rootScope.$new();
+    googleMaps = $rootScope.google.maps;
+  }));
+
+
+  //---------------------------------------------------------------------------
+  // TESTS
+  //---------------------------------------------------------------------------
+
+  function compile(template) {
+    element = $compile('<gm-map options="{center: [37, -122], zoom: 8}">' + template + '</gm-map>')($scope);
+    $scope.$digest();
+    $timeout.flush();
+    element = element.find('gm-drawingmanager');
+    scope = element.scope();
+  }
+
+  it('test simple case', function () {
+    compile('<gm-drawingmanager options="{drawingControl: true}"></gm-drawingmanager>');
+    expect(scope.drawingManager instanceof googleMaps.drawing.DrawingManager).to.be.equal(true);
+    expect(scope.drawingManager.getMap() === scope.map).to.be.equal(true);
+    expect(scope.drawingManager.__data.drawingControl).to.be.equal(true);
+  });
+
+  it('test drawing mode two way binding', function () {
+    $scope.tools = {mode: 'POLYGON'};
+    compile('<gm-drawingmanager drawing-mode="tools.mode"></gm-drawingmanager>');
+    expect(scope.drawingManager.getDrawingMode()).to.be.equal(googleMaps.drawing.OverlayType.POLYGON);
+
+    $scope.tools.mode = 'circle';
+    $scope.$digest();
+    expect(scope.drawingManager.getDrawingMode()).to.be.equal(googleMaps.drawing.OverlayType.CIRCLE);
+
+    $scope.tools.mode = null;
+    $scope.$digest();
+    expect(scope.drawingManager.getDrawingMode()).to.be.equal(null);
+
+    // user selects a mode using the drawing control
+    scope.drawingManager.setDrawingMode(googleMaps.drawing.OverlayType.MARKER);
+    $timeout.flush();
+    expect($scope.tools.mode).to.be.equal('marker');
+  });
+
+  it('test drawing modes and shape options', function () {
+    $scope.modes = ['marker', 'POLYLINE'];
+    $scope.circle = {fillColor: '#FF0000'};
+    compile(
+      '<gm-drawingmanager options="{drawingControlOptions: {position: 1}}" drawingModes="modes" ' +
+      'circle-options="circle" polylineOptions="{strokeWeight: 2}"></gm-drawingmanager>'
+    );
+    expect(scope.drawingManager.__data.drawingControlOptions).to.be.deep.equal({position: 1, drawingModes: ['marker', 'polyline']});
+    expect(scope.drawingManager.__data.circleOptions).to.be.deep.equal({fillColor: '#FF0000'});
+    expect(scope.drawingManager.__data.polylineOptions).to.be.deep.equal({strokeWeight: 2});
+
+    $scope.modes.push('circle');
+    $scope.circle.fillColor = '#00FF00';
+    $scope.$digest();
+    expect(scope.drawingManager.__data.drawingControlOptions.drawingModes).to.be.deep.equal(['marker', 'polyline', 'circle']);
+    expect(scope.drawingManager.__data.circleOptions).to.be.deep.equal({fillColor: '#00FF00'});
+  });
+
+  it('test overlays', function () {
+    var marker = new googleMaps.Marker({position: new googleMaps.LatLng(1, 2)}),
+      circle = new googleMaps.Circle({center: new googleMaps.LatLng(3, 4), radius: 50}),
+      rectangle = new googleMaps.Rectangle({bounds: new googleMaps.LatLngBounds(new googleMaps.LatLng(5, 6), new googleMaps.LatLng(7, 8))}),
+      polyline = new googleMaps.Polyline({path: [new googleMaps.LatLng(1, 1), new googleMaps.LatLng(2, 2)]}),
+      polygon = new googleMaps.Polygon({paths: [new googleMaps.LatLng(3, 3), new googleMaps.LatLng(4, 4), new googleMaps.LatLng(5, 5)]});
+
+    $scope.data = {};
+    $scope.drawn = [];
+    compile('<gm-drawingmanager overlays="data.shapes" on-overlaycomplete="drawn.push(data)"></gm-drawingmanager>');
+
+    scope.drawingManager.__draw('marker', marker);
+    scope.drawingManager.__draw('circle', circle);
+    scope.drawingManager.__draw('rectangle', rectangle);
+    scope.drawingManager.__draw('polyline', polyline);
+    scope.drawingManager.__draw('polygon', polygon);
+    $timeout.flush();
+
+    expect($scope.data.shapes).to.be.deep.equal([
+      {type: 'marker', position: [1, 2]},
+      {type: 'circle', center: [3, 4], radius: 50},
+      {type: 'rectangle', bounds: [[7, 8], [5, 6]]},
+      {type: 'polyline', path: [[1, 1], [2, 2]]},
+      {type: 'polygon', path: [[3, 3], [4, 4], [5, 5]]}
+    ]);
+    expect($scope.drawn).to.be.deep.equal($scope.data.shapes);
+
+    // native overlays are kept
+    marker.setMap(scope.map);
+    scope.drawingManager.__draw('marker', marker);
+    $timeout.flush();
+    expect(marker.getMap() === scope.map).to.be.equal(true);
+    expect($scope.data.shapes.length).to.be.equal(6);
+  });
+
+  it('test remove overlay', function () {
+    var marker = new googleMaps.Marker({position: new googleMaps.LatLng(1, 2)});
+    marker.setMap({});
+
+    $scope.shapes = [];
+    compile('<gm-drawingmanager overlays="shapes" remove-overlay="true"></gm-drawingmanager>');
+    scope.drawingManager.__draw('marker', marker);
+    $timeout.flush();
+    expect($scope.shapes).to.be.deep.equal([{type: 'marker', position: [1, 2]}]);
+    expect(marker.getMap()).to.be.equal(null);
+  });
+
+  it('test missing library', function () {
+    var messages = [],
+      consoleError = console.error,
+      drawing = googleMaps.drawing;
+
+    console.error = function () {
+      messages.push(Array.prototype.join.call(arguments, ' '));
+    };
+    delete googleMaps.drawing;
+
+    try {
+      compile('<gm-drawingmanager></gm-drawingmanager>');
+    } finally {
+      console.error = consoleError;
+      googleMaps.drawing = drawing;
+    }
+
+    expect(messages.length).to.be.equal(2);
+    expect(messages[1]).to.contain('gm-drawingmanager: google.maps.drawing library not found');
+    expect(scope.drawingManager).to.be.an('undefined');
+  });
+
+});
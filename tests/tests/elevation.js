@@ -0,0 +1,149 @@
+describe('gmElevation', function () {
+
+  var $compile, $rootScope, $scope, $timeout,
+    element, scope, googleMaps;
+
+
+  //---------------------------------------------------------------------------
+  // Load Library
+  //---------------------------------------------------------------------------
+
+  testTools.mokeGMLibrary();
+
+
+  //---------------------------------------------------------------------------
+  // Inject required
+  //---------------------------------------------------------------------------
+  beforeEach(inject(function(_$rootScope_, _$timeout_, _$compile_) {
+    $rootScope = _$rootScope_;
+    $timeout = _$timeout_;
+    $compile = _$compile_;
+    $scope = $rootScope.$new();
+    googleMaps = $rootScope.google.maps;
+    googleMaps.ElevationService.__requests = [];
+  }));
+
+
+  //---------------------------------------------------------------------------
+  // TESTS
+  //---------------------------------------------------------------------------
+
+  function compile(template) {
+    element = $compile('<gm-map options="{center: [37, -122], zoom: 8}">' + template + '</gm-map>')($scope);
+    $scope.$digest();
+    $timeout.flush();
+    scope = element.find('gm-elevation').scope();
+  }
+
+  it('test locations', function (done) {
+    $scope.locations = [[1, 2], {lat: 3, lng: 4}, new googleMaps.LatLng(2, 1), [5, 0]];
+    compile('<gm-elevation locations="locations"></gm-elevation>');
+
+    setTimeout(function() {
+      var request = googleMaps.ElevationService.__requests[0];
+      expect(googleMaps.ElevationService.__requests.length).to.be.equal(1);
+      expect(request.locations.length).to.be.equal(4);
+      testTools.test.latLng(request.locations[1], 3, 4);
+
+      expect(scope.elevation.status).to.be.equal(googleMaps.ElevationStatus.OK);
+      expect(scope.elevation.results.length).to.be.equal(4);
+      expect(scope.elevation.elevations).to.be.deep.equal([102, 304, 201, 500]);
+      expect(scope.elevation.min).to.be.equal(102);
+      expect(scope.elevation.max).to.be.equal(500);
+      expect(scope.elevation.gain).to.be.equal(202 + 299);
+      expect(scope.elevation.loss).to.be.equal(103);
+
+      // same values does not run a new request
+      $scope.locations = [[1, 2], [3, 4], [2, 1], [5, 0]];
+      $scope.$digest();
+      expect(googleMaps.ElevationService.__requests.length).to.be.equal(1);
+
+      $scope.locations.push([6, 0]);
+      $scope.$digest();
+      expect(googleMaps.ElevationService.__requests.length).to.be.equal(2);
+      setTimeout(function() {
+        expect(scope.elevation.elevations.length).to.be.equal(5);
+        expect(scope.elevation.max).to.be.equal(600);
+        done();
+      }, 10);
+    }, 10);
+  });
+
+  it('test locations are only converted on changes', function () {
+    var reads = 0,
+      location = {lng: 2};
+    Object.defineProperty(location, 'lat', {
+      enumerable: true,
+      get: function () {
+        reads++;
+        return 1;
+      }
+    });
+    $scope.locations = [location];
+    compile('<gm-elevation locations="locations"></gm-elevation>');
+    expect(googleMaps.ElevationService.__requests.length).to.be.equal(1);
+
+    reads = 0;
+    $scope.$digest();
+    $scope.$digest();
+    expect(reads).to.be.equal(0);
+
+    $scope.locations.push([3, 4]);
+    $scope.$digest();
+    expect(reads).to.be.above(0);
+    expect(googleMaps.ElevationService.__requests.length).to.be.equal(2);
+  });
+
+  it('test path and samples', function (done) {
+    $scope.path = [[0, 0], [5, 5], [10, 10]];
+    compile('<gm-elevation path="path" samples="samples"></gm-elevation>');
+    expect(googleMaps.ElevationService.__requests.length).to.be.equal(0);
+
+    $scope.samples = 3;
+    $scope.$digest();
+    setTimeout(function() {
+      var request = googleMaps.ElevationService.__requests[0];
+      expect(request.samples).to.be.equal(3);
+      expect(request.path.length).to.be.equal(3);
+      testTools.test.latLng(request.path[2], 10, 10);
+      expect(scope.elevation.elevations).to.be.deep.equal([0, 505, 1010]);
+      expect(scope.elevation.gain).to.be.equal(1010);
+      expect(scope.elevation.loss).to.be.equal(0);
+
+      // encoded path
+      $scope.path = '_p~iF~ps|U_ulLnnqC_mqNvxq`@';
+      $scope.samples = 2;
+      $scope.$digest();
+      setTimeout(function() {
+        var request = googleMaps.ElevationService.__requests[1];
+        testTools.test.latLng(request.path[0], 38.5, -120.2);
+        expect(scope.elevation.elevations.length).to.be.equal(2);
+        done();
+      }, 10);
+    }, 10);
+  });
+
+  it('test status and last request wins', function (done) {
+    $scope.path = [[0, 0], [1, 1]];
+    $scope.samples = 1000;
+    compile('<gm-elevation path="path" samples="samples"></gm-elevation>');
+
+    setTimeout(function() {
+      expect(scope.elevation.status).to.be.equal(googleMaps.ElevationStatus.INVALID_REQUEST);
+      expect(scope.elevation.results).to.be.deep.equal([]);
+      expect(scope.elevation.min).to.be.an('undefined');
+
+      $scope.samples = 2;
+      $scope.$digest();
+      $scope.samples = 4;
+      $scope.$digest();
+      setTimeout(function() {
+        expect(googleMaps.ElevationService.__requests.length).to.be.equal(3);
+        expect(scope.elevation.status).to.be.equal(googleMaps.ElevationStatus.OK);
+        expect(scope.elevation.elevations.length).to.be.equal(4);
+        done();
+      }, 10);
+    }, 10);
+  });
+
+});
@@ -0,0 +1,135 @@
+describe('Encoded path', function () {
+
+  var $compile, $rootScope, $scope, $timeout,
+    element, googleMaps, gmEncoding,
+    encoded = '_p~iF~ps|U_ulLnnqC_mqNvxq`@';
+
+
+  //---------------------------------------------------------------------------
+  // Load Library
+  //---------------------------------------------------------------------------
+
+  testTools.mokeGMLibrary();
+
+
+  //---------------------------------------------------------------------------
+  // Inject required
+  //---------------------------------------------------------------------------
+  beforeEach(inject(function(_$rootScope_, _$timeout_, _$compile_, _gmEncoding_) {
+    $rootScope = _$rootScope_;
+    $timeout = _$timeout_;
+    $compile = _$compile_;
+    gmEncoding = _gmEncoding_;
+    $scope = $rootScope.$new();
+    googleMaps = $rootScope.google.maps;
+  }));
+
+
+  //---------------------------------------------------------------------------
+  // TESTS
+  //---------------------------------------------------------------------------
+
+  function compile(template, name) {
+    element = $compile('<gm-map options="{center: [37, -122], zoom: 8}">' + template + '</gm-map>')($scope);
+    $scope.$digest();
+    $timeout.flush();
+    return element.find(name).scope();
+  }
+
+  it('test decode', function () {
+    expect(gmEncoding.decode(encoded)).to.be.deep.equal([[38.5, -120.2], [40.7, -120.95], [43.252, -126.453]]);
+    expect(gmEncoding.decode('')).to.be.deep.equal([]);
+  });
+
+  it('test encode', function () {
+    compile('', 'gm-map');
+    expect(gmEncoding.encode([[38.5, -120.2], [40.7, -120.95], [43.252, -126.453]])).to.be.equal(encoded);
+    expect(gmEncoding.encode([{lat: 38.5, lng: -120.2}, new googleMaps.LatLng(40.7, -120.95), [43.252, -126.453]])).to.be.equal(encoded);
+    expect(gmEncoding.encode(gmEncoding.decode(encoded))).to.be.equal(encoded);
+    expect(gmEncoding.encode([])).to.be.equal('');
+  });
+
+  it('test polyline encoded-path', function () {
+    var scope;
+    $scope.encoded = encoded;
+    scope = compile('<gm-polyline encoded-path="encoded"></gm-polyline>', 'gm-polyline');
+    expect(scope.polyline instanceof googleMaps.Polyline).to.be.equal(true);
+    expect(scope.polyline.getPath().getLength()).to.be.equal(3);
+    testTools.test.latLng(scope.polyline.getPath().getAt(0), 38.5, -120.2);
+    testTools.test.latLng(scope.polyline.getPath().getAt(1), 40.7, -120.95);
+    testTools.test.latLng(scope.polyline.getPath().getAt(2), 43.252, -126.453);
+
+    $scope.encoded = gmEncoding.encode([[1, 2], [3, 4]]);
+    $scope.$digest();
+    expect(scope.polyline.getPath().getLength()).to.be.equal(2);
+    testTools.test.latLng(scope.polyline.getPath().getAt(0), 1, 2);
+    testTools.test.latLng(scope.polyline.getPath().getAt(1), 3, 4);
+  });
+
+  it('test polyline encoded string in path', function () {
+    var scope = compile('<gm-polyline options="{path: \'' + encoded + '\'}"></gm-polyline>', 'gm-polyline');
+    expect(scope.polyline.getPath().getLength()).to.be.equal(3);
+    testTools.test.latLng(scope.polyline.getPath().getAt(2), 43.252, -126.453);
+  });
+
+  it('test polygon encoded-path', function () {
+    var scope;
+    $scope.encoded = encoded;
+    scope = compile('<gm-polygon encoded-path="encoded"></gm-polygon>', 'gm-polygon');
+    expect(scope.polygon instanceof googleMaps.Polygon).to.be.equal(true);
+    expect(scope.polygon.getPaths().getLength()).to.be.equal(3);
+    testTools.test.latLng(scope.polygon.getPaths().getAt(0), 38.5, -120.2);
+  });
+
+  it('test polygon encoded rings', function () {
+    var scope;
+    $scope.rings = [encoded, '_e`mF~xoaV_t`B??~s`B'];
+    scope = compile('<gm-polygon paths="rings"></gm-polygon>', 'gm-polygon');
+    expect(scope.polygon.getPaths().getLength()).to.be.equal(2);
+    expect(scope.polygon.getPaths().getAt(0).getLength()).to.be.equal(3);
+    expect(scope.polygon.getPaths().getAt(1).getLength()).to.be.equal(3);
+  });
+
+  it('test write back', function () {
+    var scope, path;
+    $scope.data = {encoded: encoded};
+    scope = compile('<gm-polyline gm-sync encoded-path="data.encoded" options="{editable: true}"></gm-polyline>', 'gm-polyline');
+    path = scope.polyline.getPath();
+
+    path.removeAt(2);
+    $timeout.flush();
+    expect($scope.data.encoded).to.be.equal(gmEncoding.encode([[38.5, -120.2], [40.7, -120.95]]));
+
+    // path is not replaced by the write back
+    $scope.$digest();
+    expect(scope.polyline.getPath() === path).to.be.equal(true);
+  });
+
+});
+
+describe('Encoding without google maps', function () {
+
+  var gmEncoding;
+
+  beforeEach(module('GoogleMapsNative'));
+
+  beforeEach(inject(function (_gmEncoding_) {
+    gmEncoding = _gmEncoding_;
+  }));
+
+  it('test encode', function () {
+    var LatLng = mokeGoogle.maps.LatLng,
+      encoded = '_p~iF~ps|U_ulLnnqC_mqNvxq`@';
+    // google maps may have been loaded by previous tests, hide its LatLng
+    delete mokeGoogle.maps.LatLng;
+    try {
+      expect(gmEncoding.encode([[38.5, -120.2], [40.7, -120.95], [43.252, -126.453]])).to.be.equal(encoded);
+      expect(gmEncoding.encode([{lat: 38.5, lng: -120.2}, [40.7, -120.95], {type: 'Point', coordinates: [-126.453, 43.252]}])).to.be.equal(encoded);
+      expect(gmEncoding.encode({type: 'LineString', coordinates: [[-120.2, 38.5], [-120.95, 40.7], [-126.453, 43.252]]})).to.be.equal(encoded);
+      expect(gmEncoding.encode(encoded)).to.be.equal(encoded);
+    } finally {
+      mokeGoogle.maps.LatLng = LatLng;
+    }
+  });
+
+});
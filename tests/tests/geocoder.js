@@ -0,0 +1,106 @@
+describe('gmGeocoder', function () {
+
+  var $rootScope, gmGeocoder, googleMaps;
+
+
+  //---------------------------------------------------------------------------
+  // Load Library
+  //---------------------------------------------------------------------------
+
+  testTools.mokeGMLibrary();
+
+
+  //---------------------------------------------------------------------------
+  // Inject required
+  //---------------------------------------------------------------------------
+  beforeEach(inject(function(_$rootScope_, _gmGeocoder_) {
+    $rootScope = _$rootScope_;
+    gmGeocoder = _gmGeocoder_;
+    googleMaps = $rootScope.google.maps;
+  }));
+
+
+  //---------------------------------------------------------------------------
+  // TESTS
+  //---------------------------------------------------------------------------
+
+  it('test geocode', function (done) {
+    var results;
+    gmGeocoder.geocode('1,2').then(function (_results_) {
+      results = _results_;
+    });
+    $rootScope.$digest();
+
+    setTimeout(function() {
+      $rootScope.$digest();
+      expect(results.length).to.be.equal(1);
+      expect(results[0].formatted_address).to.be.equal('1,2');
+      testTools.test.latLng(results[0].geometry.location, 1, 2);
+      done();
+    }, 10);
+  });
+
+  it('test geocode options', function (done) {
+    var results;
+    gmGeocoder.geocode('1,2', {bounds: [5, 6, 3, 4], region: 'fr', componentRestrictions: {country: 'FR'}}).then(function (_results_) {
+      results = _results_;
+    });
+    $rootScope.$digest();
+
+    setTimeout(function() {
+      var request;
+      $rootScope.$digest();
+      request = results[0].request;
+      expect(request.address).to.be.equal('1,2');
+      expect(request.region).to.be.equal('fr');
+      expect(request.componentRestrictions).to.be.deep.equal({country: 'FR'});
+      testTools.test.latLngBounds(request.bounds, 5, 6, 3, 4);
+      done();
+    }, 10);
+  });
+
+  it('test geocode request', function (done) {
+    var results;
+    gmGeocoder.geocode({address: '1,2', region: 'fr'}).then(function (_results_) {
+      results = _results_;
+    });
+    $rootScope.$digest();
+
+    setTimeout(function() {
+      $rootScope.$digest();
+      expect(results[0].request.region).to.be.equal('fr');
+      testTools.test.latLng(results[0].geometry.location, 1, 2);
+      done();
+    }, 10);
+  });
+
+  it('test geocode failure', function (done) {
+    var status;
+    gmGeocoder.geocode('ZERO_RESULTS').then(null, function (_status_) {
+      status = _status_;
+    });
+    $rootScope.$digest();
+
+    setTimeout(function() {
+      $rootScope.$digest();
+      expect(status).to.be.equal(googleMaps.GeocoderStatus.ZERO_RESULTS);
+      done();
+    }, 10);
+  });
+
+  it('test reverse', function (done) {
+    var results;
+    gmGeocoder.reverse([1, 2]).then(function (_results_) {
+      results = _results_;
+    });
+    $rootScope.$digest();
+
+    setTimeout(function() {
+      $rootScope.$digest();
+      expect(results[0].formatted_address).to.be.equal('1,2');
+      testTools.test.latLng(results[0].request.location, 1, 2);
+      done();
+    }, 10);
+  });
+
+});
@@ -0,0 +1,255 @@
+describe('Geocoder cache', function () {
+
+  var provider, $document, $window, $rootScope, $q, $parse, $timeout,
+    gmGeocoder, googleMaps;
+
+
+  //---------------------------------------------------------------------------
+  // Load Library
+  //---------------------------------------------------------------------------
+
+  beforeEach(function () {
+    var fakeModule = angular.module('test.geocoder.config', function () {});
+
+    fakeModule.config(function (gmLibraryProvider) {
+      provider = gmLibraryProvider;
+    });
+
+    module('GoogleMapsNative', 'test.geocoder.config');
+  });
+
+  testTools.mokeGMLibrary();
+
+
+  //---------------------------------------------------------------------------
+  // Inject required
+  //---------------------------------------------------------------------------
+  beforeEach(inject(function(_$window_, _$document_, _$rootScope_, _$q_, _$parse_, _$timeout_, _gmGeocoder_) {
+    $window = _$window_;
+    $document = _$document_;
+    $rootScope = _$rootScope_;
+    $q = _$q_;
+    $parse =_$parse_;
+    $timeout = _$timeout_;
+    gmGeocoder = _gmGeocoder_;
+    googleMaps = $rootScope.google.maps;
+    googleMaps.Geocoder.__requests = [];
+    configure({});
+  }));
+
+
+  //---------------------------------------------------------------------------
+  // TESTS
+  //---------------------------------------------------------------------------
+
+  /**
+   * Overwrite geocoder options, rate limit is disabled (see geocoderQueue)
+   * @param options {object}
+   */
+  function configure(options) {
+    provider.configure({geocoder: angular.extend({rate: 0}, options)});
+    provider.$get[6]($document, $window, $rootScope, $q, $parse, $timeout);
+  }
+
+  function geocode(address, store) {
+    gmGeocoder.geocode(address).then(function (results) {
+      store.push(results);
+    });
+    $rootScope.$digest();
+  }
+
+  it('test in memory cache', function (done) {
+    var store = [];
+    geocode('1,2', store);
+
+    setTimeout(function() {
+      $rootScope.$digest();
+      geocode('1,2', store);
+      expect(store.length).to.be.equal(2);
+      expect(store[1]).to.be.equal(store[0]);
+      expect(googleMaps.Geocoder.__requests.length).to.be.equal(1);
+      done();
+    }, 10);
+  });
+
+  it('test pending requests are shared', function (done) {
+    var store = [];
+    geocode('1,2', store);
+    geocode('1,2', store);
+    geocode('3,4', store);
+    expect(googleMaps.Geocoder.__requests.length).to.be.equal(2);
+
+    setTimeout(function() {
+      $rootScope.$digest();
+      expect(store.length).to.be.equal(3);
+      expect(store[1]).to.be.equal(store[0]);
+      done();
+    }, 10);
+  });
+
+  it('test failures are not cached', function (done) {
+    var status = [];
+    gmGeocoder.geocode('ZERO_RESULTS').then(null, function (value) {
+      status.push(value);
+    });
+    $rootScope.$digest();
+
+    setTimeout(function() {
+      $rootScope.$digest();
+      gmGeocoder.geocode('ZERO_RESULTS');
+      $rootScope.$digest();
+      expect(status).to.be.deep.equal([googleMaps.GeocoderStatus.ZERO_RESULTS]);
+      expect(googleMaps.Geocoder.__requests.length).to.be.equal(2);
+      done();
+    }, 10);
+  });
+
+  it('test LRU size', function (done) {
+    var store = [];
+    configure({cache: 2});
+    geocode('1,2', store);
+    geocode('3,4', store);
+    geocode('5,6', store);
+
+    setTimeout(function() {
+      $rootScope.$digest();
+      geocode('5,6', store);
+      geocode('3,4', store);
+      expect(googleMaps.Geocoder.__requests.length).to.be.equal(3);
+      geocode('1,2', store);
+      expect(googleMaps.Geocoder.__requests.length).to.be.equal(4);
+      done();
+    }, 10);
+  });
+
+  it('test boolean cache', function (done) {
+    var store = [];
+    configure({cache: true});
+    geocode('1,2', store);
+    geocode('3,4', store);
+
+    setTimeout(function() {
+      $rootScope.$digest();
+      geocode('1,2', store);
+      geocode('3,4', store);
+      expect(googleMaps.Geocoder.__requests.length).to.be.equal(2);
+      expect(store.length).to.be.equal(4);
+      done();
+    }, 10);
+  });
+
+  it('test cache size normalisation', function (done) {
+    var store = [];
+    configure({cache: '1.5'});
+    geocode('1,2', store);
+    geocode('3,4', store);
+
+    setTimeout(function() {
+      $rootScope.$digest();
+      geocode('3,4', store);
+      expect(googleMaps.Geocoder.__requests.length).to.be.equal(2);
+      geocode('1,2', store);
+      expect(googleMaps.Geocoder.__requests.length).to.be.equal(3);
+      done();
+    }, 10);
+  });
+
+  it('test invalid cache size disables the cache', function (done) {
+    var store = [];
+    configure({cache: -1});
+    geocode('1,2', store);
+
+    setTimeout(function() {
+      $rootScope.$digest();
+      geocode('1,2', store);
+      expect(googleMaps.Geocoder.__requests.length).to.be.equal(2);
+      configure({cache: 'all'});
+      geocode('1,2', store);
+      setTimeout(function() {
+        $rootScope.$digest();
+        geocode('1,2', store);
+        expect(googleMaps.Geocoder.__requests.length).to.be.equal(4);
+        done();
+      }, 10);
+    }, 10);
+  });
+
+  it('test disabled cache', function (done) {
+    var store = [];
+    configure({cache: false});
+    geocode('1,2', store);
+
+    setTimeout(function() {
+      $rootScope.$digest();
+      geocode('1,2', store);
+      expect(googleMaps.Geocoder.__requests.length).to.be.equal(2);
+      done();
+    }, 10);
+  });
+
+  it('test custom cache', function (done) {
+    var store = [],
+      values = {};
+    configure({
+      cache: {
+        get: function (key) {
+          return values[key];
+        },
+        put: function (key, results) {
+          values[key] = results;
+        }
+      }
+    });
+    geocode('1,2', store);
+
+    setTimeout(function() {
+      $rootScope.$digest();
+      expect(Object.keys(values).length).to.be.equal(1);
+      geocode('1,2', store);
+      expect(googleMaps.Geocoder.__requests.length).to.be.equal(1);
+      done();
+    }, 10);
+  });
+
+  it('test storage cache', function (done) {
+    var key, entry,
+      store = [],
+      items = {},
+      storage = {
+        getItem: function (key) {
+          return items.hasOwnProperty(key) ? items[key] : null;
+        },
+        setItem: function (key, value) {
+          items[key] = value;
+        },
+        removeItem: function (key) {
+          delete items[key];
+        }
+      };
+
+    configure({cache: false, storage: storage, ttl: 1000});
+    geocode('1,2', store);
+
+    setTimeout(function() {
+      $rootScope.$digest();
+      key = Object.keys(items)[0];
+      expect(key.indexOf('gmGeocoder:')).to.be.equal(0);
+
+      // results are restored from storage
+      geocode('1,2', store);
+      expect(googleMaps.Geocoder.__requests.length).to.be.equal(1);
+      expect(store[1][0].geometry.location instanceof googleMaps.LatLng).to.be.equal(true);
+      testTools.test.latLng(store[1][0].geometry.location, 1, 2);
+
+      // expired entry
+      entry = JSON.parse(items[key]);
+      entry.time -= 2000;
+      items[key] = JSON.stringify(entry);
+      geocode('1,2', store);
+      expect(googleMaps.Geocoder.__requests.length).to.be.equal(2);
+      expect(items[key]).to.be.an('undefined');
+      done();
+    }, 10);
+  });
+
+});
@@ -0,0 +1,249 @@
+describe('Geocoder queue', function () {
+
+  var provider, $compile, $document, $window, $rootScope, $scope, $q, $parse, $timeout,
+    gmGeocoder, googleMaps;
+
+
+  //---------------------------------------------------------------------------
+  // Load Library
+  //---------------------------------------------------------------------------
+
+  beforeEach(function () {
+    var fakeModule = angular.module('test.geocoder.config', function () {});
+
+    fakeModule.config(function (gmLibraryProvider) {
+      provider = gmLibraryProvider;
+    });
+
+    module('GoogleMapsNative', 'test.geocoder.config');
+  });
+
+  testTools.mokeGMLibrary();
+
+
+  //---------------------------------------------------------------------------
+  // Inject required
+  //---------------------------------------------------------------------------
+  beforeEach(inject(function(_$compile_, _$window_, _$document_, _$rootScope_, _$q_, _$parse_, _$timeout_, _gmGeocoder_) {
+    $compile = _$compile_;
+    $window = _$window_;
+    $document = _$document_;
+    $rootScope = _$rootScope_;
+    $q = _$q_;
+    $parse =_$parse_;
+    $timeout = _$timeout_;
+    gmGeocoder = _gmGeocoder_;
+    $scope = $rootScope.$new();
+    googleMaps = $rootScope.google.maps;
+    googleMaps.Geocoder.__requests = [];
+    googleMaps.Geocoder.__failures = {};
+  }));
+
+
+  //---------------------------------------------------------------------------
+  // TESTS
+  //---------------------------------------------------------------------------
+
+  /**
+   * Overwrite geocoder options, cache is disabled
+   * @param options {object}
+   */
+  function configure(options) {
+    provider.configure({geocoder: angular.extend({cache: false}, options)});
+    provider.$get[6]($document, $window, $rootScope, $q, $parse, $timeout);
+  }
+
+  function geocode(address, store) {
+    gmGeocoder.geocode(address).then(
+      function (results) {
+        store.push(results[0].formatted_address);
+      },
+      function (status) {
+        store.push(status);
+      }
+    );
+    $rootScope.$digest();
+  }
+
+  it('test concurrency', function (done) {
+    var store = [];
+    configure({concurrency: 2, rate: 0});
+    geocode('1,2', store);
+    geocode('3,4', store);
+    geocode('5,6', store);
+    expect(googleMaps.Geocoder.__requests.length).to.be.equal(2);
+
+    setTimeout(function() {
+      expect(googleMaps.Geocoder.__requests.length).to.be.equal(3);
+      setTimeout(function() {
+        $rootScope.$digest();
+        expect(store).to.be.deep.equal(['1,2', '3,4', '5,6']);
+        done();
+      }, 10);
+    }, 10);
+  });
+
+  it('test rate', function () {
+    configure({concurrency: 10, rate: 2});
+    geocode('1,2', []);
+    geocode('3,4', []);
+    geocode('5,6', []);
+    expect(googleMaps.Geocoder.__requests.length).to.be.equal(1);
+    $timeout.flush(499);
+    expect(googleMaps.Geocoder.__requests.length).to.be.equal(1);
+    $timeout.flush(1);
+    expect(googleMaps.Geocoder.__requests.length).to.be.equal(2);
+    $timeout.flush(500);
+    expect(googleMaps.Geocoder.__requests.length).to.be.equal(3);
+  });
+
+  it('test retry with backoff', function (done) {
+    var store = [];
+    configure({rate: 0, backoff: 100, retries: 3});
+    googleMaps.Geocoder.__failures['7,8'] = ['OVER_QUERY_LIMIT', 'UNKNOWN_ERROR'];
+    geocode('7,8', store);
+
+    setTimeout(function() {
+      expect(googleMaps.Geocoder.__requests.length).to.be.equal(1);
+      $timeout.flush(99);
+      expect(googleMaps.Geocoder.__requests.length).to.be.equal(1);
+      $timeout.flush(1);
+      expect(googleMaps.Geocoder.__requests.length).to.be.equal(2);
+
+      setTimeout(function() {
+        $timeout.flush(199);
+        expect(googleMaps.Geocoder.__requests.length).to.be.equal(2);
+        $timeout.flush(1);
+        expect(googleMaps.Geocoder.__requests.length).to.be.equal(3);
+
+        setTimeout(function() {
+          $rootScope.$digest();
+          expect(store).to.be.deep.equal(['7,8']);
+          done();
+        }, 10);
+      }, 10);
+    }, 10);
+  });
+
+  it('test retries exhausted', function (done) {
+    var store = [];
+    configure({rate: 0, backoff: 100, retries: 1});
+    geocode('OVER_QUERY_LIMIT', store);
+
+    setTimeout(function() {
+      $timeout.flush(100);
+      expect(googleMaps.Geocoder.__requests.length).to.be.equal(2);
+
+      setTimeout(function() {
+        $rootScope.$digest();
+        expect(store).to.be.deep.equal(['OVER_QUERY_LIMIT']);
+        $timeout.flush(1000);
+        expect(googleMaps.Geocoder.__requests.length).to.be.equal(2);
+        done();
+      }, 10);
+    }, 10);
+  });
+
+  it('test cancellation on scope destroy', function (done) {
+    configure({concurrency: 1, rate: 0});
+    $scope.visible = true;
+    $compile(
+      '<gm-map options="{center: [37, -122], zoom: 8}">' +
+      '  <gm-marker gm-address="\'1,2\'"></gm-marker>' +
+      '  <gm-marker ng-if="visible" gm-address="\'3,4\'"></gm-marker>' +
+      '</gm-map>'
+    )($scope);
+    $scope.$digest();
+    $timeout.flush();
+    expect(googleMaps.Geocoder.__requests.length).to.be.equal(1);
+
+    $scope.visible = false;
+    $scope.$digest();
+
+    setTimeout(function() {
+      expect(googleMaps.Geocoder.__requests.length).to.be.equal(1);
+      done();
+    }, 20);
+  });
+
+  it('test retry cancellation on scope destroy', function (done) {
+    configure({rate: 0, backoff: 100});
+    googleMaps.Geocoder.__failures['9,10'] = ['OVER_QUERY_LIMIT'];
+    $scope.visible = true;
+    $compile('<gm-map options="{center: [37, -122], zoom: 8}"><gm-marker ng-if="visible" gm-address="\'9,10\'"></gm-marker></gm-map>')($scope);
+    $scope.$digest();
+    $timeout.flush();
+
+    setTimeout(function() {
+      $scope.visible = false;
+      $scope.$digest();
+      testTools.test.noFlush($timeout);
+      expect(googleMaps.Geocoder.__requests.length).to.be.equal(1);
+      done();
+    }, 10);
+  });
+
+  it('test shared request is kept while owned', function (done) {
+    var store = [];
+    configure({concurrency: 1, rate: 0});
+    $scope.visible = true;
+    $compile('<gm-map options="{center: [37, -122], zoom: 8}"><gm-marker gm-address="\'1,2\'"></gm-marker><gm-marker ng-if="visible" gm-address="\'3,4\'"></gm-marker></gm-map>')($scope);
+    $scope.$digest();
+    $timeout.flush();
+
+    // same request from the service, it can not be cancelled anymore
+    geocode('3,4', store);
+
+    $scope.visible = false;
+    $scope.$digest();
+
+    setTimeout(function() {
+      setTimeout(function() {
+        $rootScope.$digest();
+        expect(store).to.be.deep.equal(['3,4']);
+        expect(googleMaps.Geocoder.__requests.map(function (request) {
+          return request.address;
+        })).to.contain('3,4');
+        done();
+      }, 10);
+    }, 10);
+  });
+
+  it('test destroy listeners are released once settled', function (done) {
+    var element, count;
+
+    function listeners() {
+      return (element.scope().$$listeners.$destroy || []).filter(function (listener) {
+        return listener;
+      }).length;
+    }
+
+    configure({rate: 0});
+    element = $compile('<gm-map options="{center: [37, -122], zoom: 8}"><gm-marker position="[1, 2]" gm-address="address"></gm-marker></gm-map>')($scope);
+    $scope.$digest();
+    $timeout.flush();
+    element = element.find('gm-marker');
+    count = listeners();
+
+    $scope.address = '1,2';
+    $scope.$digest();
+    expect(listeners()).to.be.above(count);
+
+    setTimeout(function() {
+      $rootScope.$digest();
+      $scope.address = '3,4';
+      $scope.$digest();
+      setTimeout(function() {
+        $rootScope.$digest();
+        $scope.address = '5,6';
+        $scope.$digest();
+        setTimeout(function() {
+          $rootScope.$digest();
+          expect(listeners()).to.be.equal(count);
+          done();
+        }, 10);
+      }, 10);
+    }, 10);
+  });
+
+});
@@ -0,0 +1,166 @@
+describe('GeoJSON', function () {
+
+  var $compile, $rootScope, $scope, $timeout,
+    element, googleMaps;
+
+
+  //---------------------------------------------------------------------------
+  // Load Library
+  //---------------------------------------------------------------------------
+
+  testTools.mokeGMLibrary();
+
+  //---------------------------------------------------------------------------
+  // Inject required
+  //---------------------------------------------------------------------------
+  beforeEach(inject(function(_$rootScope_, _$timeout_, _$compile_) {
+    $rootScope = _$rootScope_;
+    $timeout = _$timeout_;
+    $compile = _$compile_;
+    $scope = $rootScope.$new();
+    googleMaps = $rootScope.google.maps;
+  }));
+
+
+  //---------------------------------------------------------------------------
+  // TESTS
+  //---------------------------------------------------------------------------
+
+  function compile(template, name) {
+    element = $compile('<gm-map options="{center: [37, -122], zoom: 8}">' + template + '</gm-map>')($scope);
+    $scope.$digest();
+    $timeout.flush();
+    return element.find(name).scope();
+  }
+
+  it('test Point', function () {
+    var scope;
+    $scope.point = {type: 'Point', coordinates: [2, 1]};
+    scope = compile('<gm-marker position="point"></gm-marker>', 'gm-marker');
+    testTools.test.latLng(scope.marker.getPosition(), 1, 2);
+  });
+
+  it('test Feature', function () {
+    var scope;
+    $scope.feature = {type: 'Feature', properties: {name: 'a'}, geometry: {type: 'Point', coordinates: [4, 3]}};
+    scope = compile('<gm-marker position="feature"></gm-marker>', 'gm-marker');
+    testTools.test.latLng(scope.marker.getPosition(), 3, 4);
+  });
+
+  it('test map center', function () {
+    element = $compile('<gm-map center="point" options="{zoom: 8}"></gm-map>')($scope);
+    $scope.point = {type: 'Point', coordinates: [6, 5]};
+    $scope.$digest();
+    $timeout.flush();
+    testTools.test.latLng(element.scope().map.getCenter(), 5, 6);
+  });
+
+  it('test LineString', function () {
+    var scope;
+    $scope.line = {type: 'LineString', coordinates: [[2, 1], [4, 3], [6, 5]]};
+    scope = compile('<gm-polyline path="line"></gm-polyline>', 'gm-polyline');
+    expect(scope.polyline.getPath().getLength()).to.be.equal(3);
+    testTools.test.latLng(scope.polyline.getPath().getAt(0), 1, 2);
+    testTools.test.latLng(scope.polyline.getPath().getAt(2), 5, 6);
+  });
+
+  it('test Polygon', function () {
+    var scope, paths;
+    $scope.shape = {
+      type: 'Feature',
+      geometry: {
+        type: 'Polygon',
+        coordinates: [
+          [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+          [[2, 2], [4, 2], [4, 4], [2, 4], [2, 2]]
+        ]
+      }
+    };
+    scope = compile('<gm-polygon paths="shape"></gm-polygon>', 'gm-polygon');
+    paths = scope.polygon.getPaths();
+    expect(paths.getLength()).to.be.equal(2);
+    // closing position is removed
+    expect(paths.getAt(0).getLength()).to.be.equal(4);
+    testTools.test.latLng(paths.getAt(0).getAt(1), 0, 10);
+    // hole is wound in the opposite direction
+    testTools.test.latLng(paths.getAt(1).getAt(0), 4, 2);
+    testTools.test.latLng(paths.getAt(1).getAt(1), 4, 4);
+  });
+
+  it('test MultiPolygon', function () {
+    var scope, paths;
+    $scope.shape = {
+      type: 'MultiPolygon',
+      coordinates: [
+        [
+          [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]
+        ],
+        [
+          [[20, 0], [20, 10], [30, 10], [30, 0], [20, 0]],
+          [[22, 2], [22, 4], [24, 4], [24, 2], [22, 2]]
+        ]
+      ]
+    };
+    scope = compile('<gm-polygon paths="shape"></gm-polygon>', 'gm-polygon');
+    paths = scope.polygon.getPaths();
+    expect(paths.getLength()).to.be.equal(3);
+    // second outer boundary is wound as the first one
+    testTools.test.latLng(paths.getAt(1).getAt(0), 0, 30);
+    testTools.test.latLng(paths.getAt(1).getAt(1), 10, 30);
+    // its hole is wound in the opposite direction
+    testTools.test.latLng(paths.getAt(2).getAt(0), 2, 22);
+    testTools.test.latLng(paths.getAt(2).getAt(1), 4, 22);
+  });
+
+  it('test Polygon on polyline', function () {
+    var scope;
+    $scope.shape = {type: 'Polygon', coordinates: [[[0, 0], [10, 0], [10, 10], [0, 0]]]};
+    scope = compile('<gm-polyline path="shape"></gm-polyline>', 'gm-polyline');
+    expect(scope.polyline.getPath().getLength()).to.be.equal(3);
+  });
+
+  it('test bounds', function () {
+    var scope;
+    $scope.line = {type: 'LineString', coordinates: [[2, 1], [8, 3], [6, 5]]};
+    scope = compile('<gm-rectangle bounds="line"></gm-rectangle>', 'gm-rectangle');
+    testTools.test.latLngBounds(scope.rectangle.getBounds(), 5, 8, 1, 2);
+  });
+
+  it('test bounds with bbox', function () {
+    var scope;
+    $scope.feature = {type: 'Feature', bbox: [1, 2, 3, 4], geometry: {type: 'Point', coordinates: [0, 0]}};
+    scope = compile('<gm-rectangle bounds="feature"></gm-rectangle>', 'gm-rectangle');
+    testTools.test.latLngBounds(scope.rectangle.getBounds(), 4, 3, 2, 1);
+  });
+
+  it('test write back', function () {
+    var scope;
+    $scope.data = {
+      point: {type: 'Feature', properties: {id: 1}, geometry: {type: 'Point', coordinates: [2, 1]}},
+      line: {type: 'LineString', coordinates: [[2, 1], [4, 3]]},
+      polygon: {type: 'Polygon', coordinates: [[[0, 0], [10, 0], [10, 10], [0, 0]]]}
+    };
+    element = $compile(
+      '<gm-map options="{center: [37, -122], zoom: 8}">' +
+        '<gm-marker gm-sync position="data.point"></gm-marker>' +
+        '<gm-polyline gm-sync path="data.line"></gm-polyline>' +
+        '<gm-polygon gm-sync paths="data.polygon"></gm-polygon>' +
+      '</gm-map>'
+    )($scope);
+    $scope.$digest();
+    $timeout.flush();
+
+    scope = element.find('gm-marker').scope();
+    scope.marker.setPosition(new googleMaps.LatLng(5, 6));
+    googleMaps.event.trigger(scope.marker, 'dragend');
+
+    element.find('gm-polyline').scope().polyline.getPath().push(new googleMaps.LatLng(5, 6));
+    element.find('gm-polygon').scope().polygon.getPaths().getAt(0).setAt(0, new googleMaps.LatLng(1, 1));
+    $timeout.flush();
+
+    expect($scope.data.point).to.be.deep.equal({type: 'Feature', properties: {id: 1}, geometry: {type: 'Point', coordinates: [6, 5]}});
+    expect($scope.data.line).to.be.deep.equal({type: 'LineString', coordinates: [[2, 1], [4, 3], [6, 5]]});
+    expect($scope.data.polygon).to.be.deep.equal({type: 'Polygon', coordinates: [[[1, 1], [10, 0], [10, 10], [1, 1]]]});
+  });
+
+});
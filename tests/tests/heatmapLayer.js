@@ -0,0 +1,131 @@
+describe('gmHeatmaplayer', function () {
+
+  var $compile, $rootScope, $scope, $timeout,
+    element, scope, googleMaps;
+
+
+  //---------------------------------------------------------------------------
+  // Load Library
+  //---------------------------------------------------------------------------
+
+  testTools.mokeGMLibrary();
+
+
+  //---------------------------------------------------------------------------
+  // Inject required
+  //---------------------------------------------------------------------------
+  beforeEach(inject(function(_$rootScope_, _$timeout_, _$compile_) {
+    $rootScope = _$rootScope_;
+    $timeout = _$timeout_;
+    $compile = _$compile_;
+    $scope = $rootScope.$new();
+    googleMaps = $rootScope.google.maps;
+  }));
+
+
+  //---------------------------------------------------------------------------
+  // TESTS
+  //---------------------------------------------------------------------------
+
+  function compile(template) {
+    element = $compile('<gm-map options="{center: [37, -122], zoom: 8}">' + template + '</gm-map>')($scope);
+    $scope.$digest();
+    $timeout.flush();
+    element = element.find('gm-heatmaplayer');
+    scope = element.scope();
+  }
+
+  it('test simple case', function () {
+    compile('<gm-heatmaplayer options="{data: [[1, 2], {location: [3, 4], weight: 5}]}"></gm-heatmaplayer>');
+    expect(scope.heatmapLayer instanceof googleMaps.visualization.HeatmapLayer).to.be.equal(true);
+    expect(scope.heatmapLayer.getMap() === scope.map).to.be.equal(true);
+    expect(scope.heatmapLayer.getData().getLength()).to.be.equal(2);
+    testTools.test.latLng(scope.heatmapLayer.getData().getAt(0), 1, 2);
+    testTools.test.latLng(scope.heatmapLayer.getData().getAt(1).location, 3, 4);
+    expect(scope.heatmapLayer.getData().getAt(1).weight).to.be.equal(5);
+  });
+
+  it('wait for data', function () {
+    compile('<gm-heatmaplayer data="points"></gm-heatmaplayer>');
+    expect(scope.heatmapLayer).to.be.an('undefined');
+    $scope.points = [{lat: 1, lng: 2}, {location: {lat: 3, lng: 4}}];
+    $scope.$digest();
+    expect(scope.heatmapLayer instanceof googleMaps.visualization.HeatmapLayer).to.be.equal(true);
+    testTools.test.latLng(scope.heatmapLayer.getData().getAt(0), 1, 2);
+    testTools.test.latLng(scope.heatmapLayer.getData().getAt(1).location, 3, 4);
+    expect('weight' in scope.heatmapLayer.getData().getAt(1)).to.be.equal(false);
+  });
+
+  it('test collection watching', function () {
+    var data;
+    $scope.points = [[1, 2], [3, 4]];
+    compile('<gm-heatmaplayer data="points"></gm-heatmaplayer>');
+    data = scope.heatmapLayer.getData();
+
+    $scope.points.push({location: [5, 6], weight: 2});
+    $scope.$digest();
+    expect(data.getLength()).to.be.equal(3);
+    testTools.test.latLng(data.getAt(2).location, 5, 6);
+
+    $scope.points.shift();
+    $scope.$digest();
+    expect(data.getLength()).to.be.equal(2);
+    testTools.test.latLng(data.getAt(0), 3, 4);
+    expect(data.getAt(1).weight).to.be.equal(2);
+
+    // data is updated in place
+    expect(scope.heatmapLayer.getData() === data).to.be.equal(true);
+  });
+
+  it('test heatmap options', function () {
+    $scope.points = [[1, 2]];
+    $scope.heatmap = {radius: 10, opacity: 0.5, gradient: ['rgba(0, 255, 255, 0)', 'rgba(0, 255, 255, 1)'], dissipating: false};
+    compile('<gm-heatmaplayer data="points" radius="heatmap.radius" opacity="heatmap.opacity" gradient="heatmap.gradient" dissipating="heatmap.dissipating"></gm-heatmaplayer>');
+    expect(scope.heatmapLayer.__data.radius).to.be.equal(10);
+    expect(scope.heatmapLayer.__data.opacity).to.be.equal(0.5);
+    expect(scope.heatmapLayer.__data.gradient).to.be.deep.equal(['rgba(0, 255, 255, 0)', 'rgba(0, 255, 255, 1)']);
+    expect(scope.heatmapLayer.__data.dissipating).to.be.equal(false);
+
+    $scope.heatmap.radius = 20;
+    $scope.heatmap.dissipating = true;
+    $scope.heatmap.gradient.push('rgba(0, 191, 255, 1)');
+    $scope.$digest();
+    expect(scope.heatmapLayer.__data.radius).to.be.equal(20);
+    expect(scope.heatmapLayer.__data.dissipating).to.be.equal(true);
+    expect(scope.heatmapLayer.__data.gradient.length).to.be.equal(3);
+  });
+
+  it('test ng-show', function () {
+    $scope.points = [[1, 2]];
+    $scope.visible = false;
+    compile('<gm-heatmaplayer data="points" ng-show="visible"></gm-heatmaplayer>');
+    expect(scope.heatmapLayer instanceof googleMaps.visualization.HeatmapLayer).to.be.equal(true);
+    expect(scope.heatmapLayer.getMap()).to.be.an('undefined');
+    $scope.visible = true;
+    $scope.$digest();
+    expect(scope.heatmapLayer.getMap() === scope.map).to.be.equal(true);
+  });
+
+  it('test missing library', function () {
+    var messages = [],
+      consoleError = console.error,
+      visualization = googleMaps.visualization;
+
+    console.error = function () {
+      messages.push(Array.prototype.join.call(arguments, ' '));
+    };
+    delete googleMaps.visualization;
+
+    try {
+      compile('<gm-heatmaplayer options="{data: [[1, 2]]}"></gm-heatmaplayer>');
+    } finally {
+      console.error = consoleError;
+      googleMaps.visualization = visualization;
+    }
+
+    expect(messages.length).to.be.equal(2);
+    expect(messages[1]).to.contain('gm-heatmaplayer: google.maps.visualization library not found');
+    expect(scope.heatmapLayer).to.be.an('undefined');
+  });
+
+});
@@ -130,6 +130,98 @@ describe('gmMap', function () {
 
   });
 
+  it('test two way binding', function () {
+    var setCenter = 0;
+
+    $scope.view = {center: [37, -122], zoom: 8, heading: 0, tilt: 0, mapTypeId: 'roadmap'};
+
+    compile('<gm-map gm-sync center="view.center" zoom="view.zoom" heading="view.heading" tilt="view.tilt" mapTypeId="view.mapTypeId"></gm-map>');
+    expect(scope.map instanceof googleMaps.Map).to.be.equal(true);
+
+    scope.map.setCenter = function (latLng) {
+      setCenter++;
+      googleMaps.Map.prototype.setCenter.call(this, latLng);
+    };
+
+    // user moves the map
+    googleMaps.Map.prototype.setCenter.call(scope.map, new googleMaps.LatLng(1, 2));
+    scope.map.setZoom(10);
+    scope.map.setHeading(90);
+    scope.map.setTilt(45);
+    scope.map.setMapTypeId('satellite');
+    angular.forEach('center_changed zoom_changed heading_changed tilt_changed maptypeid_changed'.split(' '), function (name) {
+      googleMaps.event.trigger(scope.map, name);
+    });
+    $timeout.flush();
+
+    // same shape as provided
+    expect($scope.view).to.be.deep.equal({center: [1, 2], zoom: 10, heading: 90, tilt: 45, mapTypeId: 'satellite'});
+
+    // written back value is not set again on the map
+    expect(setCenter).to.be.equal(0);
+
+    // scope changes are still applied
+    $scope.view.center = [3, 4];
+    $scope.$digest();
+    expect(setCenter).to.be.equal(1);
+    testTools.test.latLng(scope.map.getCenter(), 3, 4);
+  });
+
+  it('test two way binding while panning', function () {
+    $scope.view = {center: [37, -122], zoom: 8};
+
+    compile('<gm-map gm-sync center="view.center" zoom="view.zoom"></gm-map>');
+
+    // user drags the map, center is not written back on each frame
+    googleMaps.event.trigger(scope.map, 'dragstart');
+    scope.map.setCenter(new googleMaps.LatLng(1, 2));
+    googleMaps.event.trigger(scope.map, 'center_changed');
+    googleMaps.event.trigger(scope.map, 'dragend');
+    scope.map.setCenter(new googleMaps.LatLng(3, 4));
+    googleMaps.event.trigger(scope.map, 'center_changed');
+    testTools.test.noFlush($timeout);
+    expect($scope.view.center).to.be.deep.equal([37, -122]);
+
+    // written back once the map is idle
+    googleMaps.event.trigger(scope.map, 'idle');
+    $timeout.flush();
+    expect($scope.view.center).to.be.deep.equal([3, 4]);
+
+    // programmatic changes are still written back
+    scope.map.setCenter(new googleMaps.LatLng(5, 6));
+    googleMaps.event.trigger(scope.map, 'center_changed');
+    $timeout.flush();
+    expect($scope.view.center).to.be.deep.equal([5, 6]);
+  });
+
+  it('test two way binding shapes', function () {
+    $scope.view = {center: {lat: 37, lng: -122, name: 'home'}, zoom: 8};
+
+    compile('<gm-map gm-sync="center" center="view.center" zoom="view.zoom"></gm-map>');
+
+    scope.map.setCenter(new googleMaps.LatLng(1, 2));
+    scope.map.setZoom(10);
+    googleMaps.event.trigger(scope.map, 'center_changed');
+    googleMaps.event.trigger(scope.map, 'zoom_changed');
+    $timeout.flush();
+
+    expect($scope.view.center).to.be.deep.equal({lat: 1, lng: 2, name: 'home'});
+    // zoom is not synchronised
+    expect($scope.view.zoom).to.be.equal(8);
+  });
+
+  it('test without two way binding', function () {
+    $scope.center = [37, -122];
+
+    compile('<gm-map center="center" options="{zoom: 8}"></gm-map>');
+
+    scope.map.setCenter(new googleMaps.LatLng(1, 2));
+    googleMaps.event.trigger(scope.map, 'center_changed');
+    testTools.test.noFlush($timeout);
+
+    expect($scope.center).to.be.deep.equal([37, -122]);
+  });
+
   it('test ng-show', function () {
     var map, catched;
 
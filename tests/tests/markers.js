@@ -0,0 +1,212 @@
+describe('gmMarkers', function () {
+
+  var $compile, $rootScope, $scope, $timeout,
+    element, scope, googleMaps;
+
+
+  //---------------------------------------------------------------------------
+  // Load Library
+  //---------------------------------------------------------------------------
+
+  testTools.mokeGMLibrary();
+
+
+  //---------------------------------------------------------------------------
+  // Inject required
+  //---------------------------------------------------------------------------
+  beforeEach(inject(function(_$rootScope_, _$timeout_, _$compile_) {
+    $rootScope = _$rootScope_;
+    $timeout = _$timeout_;
+    $compile = _$compile_;
+    $scope = $rootScope.$new();
+    googleMaps = $rootScope.google.maps;
+  }));
+
+
+  //---------------------------------------------------------------------------
+  // TESTS
+  //---------------------------------------------------------------------------
+
+  function compile(template) {
+    element = $compile('<gm-map options="{center: [37, -122], zoom: 8}">' + template + '</gm-map>')($scope);
+    $scope.$digest();
+    $timeout.flush();
+    element = element.find('gm-markers');
+    scope = element.scope();
+  }
+
+  it('test simple case', function () {
+    $scope.stores = [
+      {id: 1, location: [1, 2], name: 'a'},
+      {id: 2, location: {lat: 3, lng: 4}, name: 'b'}
+    ];
+    compile('<gm-markers items="stores" track-by="id" position="item.location" title="item.name" zIndex="$index"></gm-markers>');
+    expect(scope.map instanceof googleMaps.Map).to.be.equal(true);
+    expect(scope.markers.length).to.be.equal(2);
+    expect(scope.markers[0] instanceof googleMaps.Marker).to.be.equal(true);
+    expect(scope.markers[0].getMap() === scope.map).to.be.equal(true);
+    testTools.test.latLng(scope.markers[0].getPosition(), 1, 2);
+    testTools.test.latLng(scope.markers[1].getPosition(), 3, 4);
+    expect(scope.markers[0].getTitle()).to.be.equal('a');
+    expect(scope.markers[1].getTitle()).to.be.equal('b');
+    expect(scope.markers[0].getZIndex()).to.be.equal(0);
+    expect(scope.markers[1].getZIndex()).to.be.equal(1);
+  });
+
+  it('test options per item', function () {
+    $scope.stores = [{id: 1, location: [1, 2], icon: 'icon.png'}];
+    compile('<gm-markers items="stores" track-by="id" options="{position: item.location, icon: item.icon, zIndex: \'5\'}"></gm-markers>');
+    expect(scope.markers.length).to.be.equal(1);
+    testTools.test.latLng(scope.markers[0].getPosition(), 1, 2);
+    expect(scope.markers[0].getIcon()).to.be.equal('icon.png');
+    expect(scope.markers[0].getZIndex()).to.be.equal(5);
+  });
+
+  it('test keyed diffing', function () {
+    var first, second;
+
+    $scope.stores = [
+      {id: 1, location: [1, 2]},
+      {id: 2, location: [3, 4]}
+    ];
+    compile('<gm-markers items="stores" track-by="id" position="item.location" zIndex="$index"></gm-markers>');
+    first = scope.markers[0];
+    second = scope.markers[1];
+
+    // add
+    $scope.stores.push({id: 3, location: [5, 6]});
+    $scope.$digest();
+    expect(scope.markers.length).to.be.equal(3);
+    expect(scope.markers[0] === first).to.be.equal(true);
+    expect(scope.markers[1] === second).to.be.equal(true);
+    testTools.test.latLng(scope.markers[2].getPosition(), 5, 6);
+
+    // move
+    $scope.stores.reverse();
+    $scope.$digest();
+    expect(scope.markers[0] === first).to.be.equal(false);
+    expect(scope.markers[2] === first).to.be.equal(true);
+    expect(first.getZIndex()).to.be.equal(2);
+
+    // update (new object, same key)
+    $scope.stores[2] = {id: 1, location: [7, 8]};
+    $scope.$digest();
+    expect(scope.markers[2] === first).to.be.equal(true);
+    testTools.test.latLng(first.getPosition(), 7, 8);
+
+    // update in place
+    $scope.stores[2].location = [9, 10];
+    $scope.$digest();
+    testTools.test.latLng(first.getPosition(), 9, 10);
+
+    // remove
+    $scope.stores.splice(1, 1);
+    $scope.$digest();
+    expect(scope.markers.length).to.be.equal(2);
+    expect(second.getMap()).to.be.an('null');
+    expect(first.getMap() === scope.map).to.be.equal(true);
+
+    // clear
+    $scope.stores = [];
+    $scope.$digest();
+    expect(scope.markers.length).to.be.equal(0);
+    expect(first.getMap()).to.be.an('null');
+  });
+
+  it('test changes are applied once', function () {
+    var marker, calls = 0;
+
+    $scope.stores = [{id: 1, location: [1, 2]}];
+    compile('<gm-markers items="stores" track-by="id" position="item.location"></gm-markers>');
+    marker = scope.markers[0];
+    marker.setPosition = function (latLng) {
+      calls++;
+      googleMaps.Marker.prototype.setPosition.call(this, latLng);
+    };
+
+    $scope.$digest();
+    expect(calls).to.be.equal(0);
+
+    // update in place
+    $scope.stores[0].location = [3, 4];
+    $scope.$digest();
+    expect(calls).to.be.equal(1);
+
+    // new object, same key
+    $scope.stores[0] = {id: 1, location: [5, 6]};
+    $scope.$digest();
+    expect(calls).to.be.equal(2);
+    testTools.test.latLng(marker.getPosition(), 5, 6);
+  });
+
+  it('test identity diffing', function () {
+    var first,
+      a = {location: [1, 2]},
+      b = {location: [3, 4]};
+
+    $scope.stores = [a, b];
+    compile('<gm-markers items="stores" position="item.location"></gm-markers>');
+    first = scope.markers[0];
+
+    $scope.stores = [b, a];
+    $scope.$digest();
+    expect(scope.markers.length).to.be.equal(2);
+    expect(scope.markers[1] === first).to.be.equal(true);
+
+    $scope.stores = [b];
+    $scope.$digest();
+    expect(scope.markers.length).to.be.equal(1);
+    expect(first.getMap()).to.be.an('null');
+  });
+
+  it('wait for position', function () {
+    $scope.stores = [{id: 1}];
+    compile('<gm-markers items="stores" track-by="id" position="item.location"></gm-markers>');
+    expect(scope.markers.length).to.be.equal(0);
+
+    $scope.stores[0].location = [1, 2];
+    $scope.$digest();
+    expect(scope.markers.length).to.be.equal(1);
+    testTools.test.latLng(scope.markers[0].getPosition(), 1, 2);
+  });
+
+  it('test events', function () {
+    $scope.data = {clicked: []};
+    $scope.stores = [
+      {id: 1, location: [1, 2]},
+      {id: 2, location: [3, 4]}
+    ];
+    compile('<gm-markers items="stores" track-by="id" position="item.location" on-click="data.clicked.push(item.id)"></gm-markers>');
+
+    googleMaps.event.trigger(scope.markers[1], 'click');
+    googleMaps.event.trigger(scope.markers[0], 'click');
+    $scope.$digest();
+    $timeout.flush();
+
+    expect(scope.data.clicked).to.be.deep.equal([2, 1]);
+  });
+
+  it('test ng-show', function () {
+    $scope.stores = [{id: 1, location: [1, 2]}];
+    compile('<gm-markers items="stores" track-by="id" position="item.location" ng-show="visible"></gm-markers>');
+    expect(scope.markers[0].getMap()).to.be.an('undefined');
+
+    $scope.visible = true;
+    $scope.$digest();
+    expect(scope.markers[0].getMap() === scope.map).to.be.equal(true);
+
+    $scope.visible = false;
+    $scope.$digest();
+    expect(scope.markers[0].getMap()).to.be.an('null');
+  });
+
+  it('test destroy', function () {
+    var marker;
+    $scope.stores = [{id: 1, location: [1, 2]}];
+    compile('<gm-markers items="stores" track-by="id" position="item.location"></gm-markers>');
+    marker = scope.markers[0];
+    scope.$destroy();
+    expect(marker.getMap()).to.be.an('null');
+  });
+
+});
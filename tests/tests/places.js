@@ -0,0 +1,176 @@
+describe('gmPlaces', function () {
+
+  var $compile, $rootScope, $scope, $timeout,
+    element, scope, googleMaps;
+
+
+  //---------------------------------------------------------------------------
+  // Load Library
+  //---------------------------------------------------------------------------
+
+  testTools.mokeGMLibrary();
+
+
+  //---------------------------------------------------------------------------
+  // Inject required
+  //---------------------------------------------------------------------------
+  beforeEach(inject(function(_$rootScope_, _$timeout_, _$compile_) {
+    $rootScope = _$rootScope_;
+    $timeout = _$timeout_;
+    $compile = _$compile_;
+    $scope = $rootScope.$new();
+    googleMaps = $rootScope.google.maps;
+  }));
+
+
+  //---------------------------------------------------------------------------
+  // TESTS
+  //---------------------------------------------------------------------------
+
+
+  function compile(template) {
+    element = $compile('<gm-map options="{center: [37, -122], zoom: 8}">' + template + '</gm-map>')($scope);
+    $scope.$digest();
+    $timeout.flush();
+    element = element.find('gm-places');
+    scope = element.scope();
+  }
+
+  function names() {
+    return scope.places.results.map(function (place) {
+      return place.name;
+    });
+  }
+
+  it('test nearby search', function (done) {
+    compile('<gm-places location="[1, 2]" radius="\'500\'" types="[\'store\']" keyword="\'shop\'"></gm-places>');
+
+    setTimeout(function() {
+      var request;
+      expect(scope.places.status).to.be.equal(googleMaps.places.PlacesServiceStatus.OK);
+      expect(names()).to.be.deep.equal(['shop10', 'shop11']);
+      expect(scope.places.hasNextPage).to.be.equal(true);
+      request = scope.places.results[0].request;
+      testTools.test.latLng(request.location, 1, 2);
+      expect(request.radius).to.be.equal(500);
+      expect(request.types).to.be.deep.equal(['store']);
+      done();
+    }, 10);
+  });
+
+  it('test mandatory properties', function (done) {
+    compile('<gm-places location="location" radius="radius"></gm-places>');
+
+    setTimeout(function() {
+      expect(scope.places).to.be.an('undefined');
+      $scope.location = [1, 2];
+      $scope.$digest();
+      setTimeout(function() {
+        expect(scope.places).to.be.an('undefined');
+        $scope.radius = 100;
+        $scope.$digest();
+        setTimeout(function() {
+          expect(scope.places.results.length).to.be.equal(2);
+          done();
+        }, 10);
+      }, 10);
+    }, 10);
+  });
+
+  it('test text search', function (done) {
+    compile('<gm-places options="{query: \'pizza\'}"></gm-places>');
+
+    setTimeout(function() {
+      expect(names()).to.be.deep.equal(['pizza10', 'pizza11']);
+      expect(scope.places.results[0].request.query).to.be.equal('pizza');
+      done();
+    }, 10);
+  });
+
+  it('test pages', function (done) {
+    compile('<gm-places query="\'pizza\'" pages="3"></gm-places>');
+
+    setTimeout(function() {
+      expect(names()).to.be.deep.equal(['pizza10', 'pizza11', 'pizza20', 'pizza21', 'pizza30', 'pizza31']);
+      expect(scope.places.hasNextPage).to.be.equal(false);
+      done();
+    }, 50);
+  });
+
+  it('test next page', function (done) {
+    compile('<gm-places query="\'pizza\'"></gm-places>');
+
+    setTimeout(function() {
+      expect(names()).to.be.deep.equal(['pizza10', 'pizza11']);
+      scope.places.nextPage();
+      setTimeout(function() {
+        expect(names()).to.be.deep.equal(['pizza10', 'pizza11', 'pizza20', 'pizza21']);
+        expect(scope.places.hasNextPage).to.be.equal(true);
+        done();
+      }, 10);
+    }, 10);
+  });
+
+  it('test last request wins', function (done) {
+    $scope.query = 'pizza';
+    compile('<gm-places query="query"></gm-places>');
+    $scope.query = 'sushi';
+    $scope.$digest();
+
+    setTimeout(function() {
+      expect(names()).to.be.deep.equal(['sushi10', 'sushi11']);
+      done();
+    }, 10);
+  });
+
+  it('test status', function (done) {
+    compile('<gm-places query="\'ZERO_RESULTS\'"></gm-places>');
+
+    setTimeout(function() {
+      expect(scope.places.status).to.be.equal(googleMaps.places.PlacesServiceStatus.ZERO_RESULTS);
+      expect(scope.places.results).to.be.deep.equal([]);
+      expect(scope.places.hasNextPage).to.be.equal(false);
+      done();
+    }, 10);
+  });
+
+  it('test service is bound to the map and released with it', function () {
+    var mapElement, mapController, service;
+    compile('<gm-places query="\'test\'"></gm-places>');
+    mapElement = element.parent();
+    mapController = mapElement.controller('gmMap');
+    service = mapController.service('places.PlacesService');
+    expect(service instanceof googleMaps.places.PlacesService).to.be.equal(true);
+    expect(service.__target === mapController.get()).to.be.equal(true);
+    expect(mapController.service('places.PlacesService') === service).to.be.equal(true);
+
+    mapElement.scope().$destroy();
+    expect(mapController.get()).to.be.an('undefined');
+    expect(mapController.service('places.PlacesService')).to.be.an('undefined');
+  });
+
+  it('test missing library', function () {
+    var messages = [],
+      consoleError = console.error,
+      places = googleMaps.places;
+
+    console.error = function () {
+      messages.push(Array.prototype.join.call(arguments, ' '));
+    };
+    delete googleMaps.places;
+
+    try {
+      // google maps is already loading, so, places library can not be added anymore
+      compile('<gm-places query="\'test\'"></gm-places>');
+    } finally {
+      console.error = consoleError;
+      googleMaps.places = places;
+    }
+
+    expect(messages.length).to.be.equal(2);
+    expect(messages[0]).to.contain('gm-places: google maps is already loading');
+    expect(messages[0]).to.contain("gmLibraryProvider.configure({libraries: ['places']})");
+    expect(scope.places).to.be.an('undefined');
+  });
+
+});
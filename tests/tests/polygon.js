@@ -58,6 +58,88 @@ describe('gmPolygon', function () {
     testTools.test.latLng(scope.polygon.getPaths()[2], 5, 6);
   });
 
+  it('test multi ring paths', function () {
+    var paths;
+
+    $scope.paths = [
+      [[0, 0], [0, 10], [10, 10], [10, 0]],                                      // outer
+      [{lat: 2, lng: 2}, {lat: 4, lng: 2}, {lat: 4, lng: 4}, {lat: 2, lng: 4}],  // hole: opposite direction
+      [[6, 6], [6, 8], [8, 8], [8, 6]]                                           // hole: same direction, needs to be reversed
+    ];
+    compile('<gm-polygon paths="paths"></gm-polygon>');
+    expect(scope.polygon instanceof googleMaps.Polygon).to.be.equal(true);
+
+    paths = scope.polygon.getPaths();
+    expect(paths.getLength()).to.be.equal(3);
+    expect(paths.getAt(0).getLength()).to.be.equal(4);
+    testTools.test.latLng(paths.getAt(0).getAt(1), 0, 10);
+    testTools.test.latLng(paths.getAt(1).getAt(1), 4, 2);
+    testTools.test.latLng(paths.getAt(2).getAt(0), 8, 6);
+    testTools.test.latLng(paths.getAt(2).getAt(1), 8, 8);
+    testTools.test.latLng(paths.getAt(2).getAt(3), 6, 6);
+
+    // model is not modified
+    expect($scope.paths[2]).to.be.deep.equal([[6, 6], [6, 8], [8, 8], [8, 6]]);
+  });
+
+  it('test multi ring paths update', function () {
+    var paths;
+
+    $scope.paths = [
+      [[0, 0], [0, 10], [10, 10], [10, 0]]
+    ];
+    compile('<gm-polygon gm-watch="deep" paths="paths"></gm-polygon>');
+    paths = scope.polygon.getPaths();
+    expect(paths.getLength()).to.be.equal(1);
+
+    $scope.paths.push([[2, 2], [4, 2], [4, 4], [2, 4]]);
+    $scope.$digest();
+    expect(scope.polygon.getPaths() === paths).to.be.equal(true);
+    expect(paths.getLength()).to.be.equal(2);
+    testTools.test.latLng(paths.getAt(1).getAt(1), 4, 2);
+
+    $scope.paths[1][1] = [5, 2];
+    $scope.$digest();
+    testTools.test.latLng(paths.getAt(1).getAt(1), 5, 2);
+  });
+
+  it('test collection watching', function () {
+    var paths;
+
+    $scope.paths = [[1, 2], [3, 4], [5, 6]];
+    compile('<gm-polygon paths="paths"></gm-polygon>');
+    paths = scope.polygon.getPaths();
+
+    $scope.paths.push([7, 8]);
+    $scope.$digest();
+    expect(scope.polygon.getPaths() === paths).to.be.equal(true);
+    expect(paths.getLength()).to.be.equal(4);
+    testTools.test.latLng(paths.getAt(3), 7, 8);
+
+    $scope.paths.shift();
+    $scope.$digest();
+    expect(paths.getLength()).to.be.equal(3);
+    testTools.test.latLng(paths.getAt(0), 3, 4);
+  });
+
+  it('test collection watching on a path nested by google', function () {
+    var paths;
+
+    $scope.paths = [[1, 2], [3, 4], [5, 6]];
+    compile('<gm-polygon paths="paths"></gm-polygon>');
+
+    // google returns a list of paths
+    paths = new googleMaps.MVCArray([new googleMaps.MVCArray(scope.polygon.getPaths().getArray())]);
+    scope.polygon.__data.paths = paths;
+
+    $scope.paths.push([7, 8]);
+    $scope.$digest();
+    expect(scope.polygon.getPaths() === paths).to.be.equal(true);
+    expect(paths.getLength()).to.be.equal(1);
+    expect(paths.getAt(0).getLength()).to.be.equal(4);
+    testTools.test.latLng(paths.getAt(0).getAt(3), 7, 8);
+  });
+
   it('test events', function () {
 
     $scope.data = {
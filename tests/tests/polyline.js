@@ -58,6 +58,94 @@ describe('gmPolyline', function () {
     testTools.test.latLng(scope.polyline.getPath()[2], 5, 6);
   });
 
+  it('test collection watching', function () {
+    var path, setPath = 0;
+
+    $scope.path = [[1, 2], [3, 4]];
+    compile('<gm-polyline path="path"></gm-polyline>');
+    path = scope.polyline.getPath();
+    scope.polyline.setPath = function (value) {
+      setPath++;
+      googleMaps.Polyline.prototype.setPath.call(this, value);
+    };
+
+    // append
+    $scope.path.push([5, 6]);
+    $scope.$digest();
+    expect(scope.polyline.getPath() === path).to.be.equal(true);
+    expect(path.getLength()).to.be.equal(3);
+    testTools.test.latLng(path.getAt(2), 5, 6);
+
+    // update
+    $scope.path[0] = [7, 8];
+    $scope.$digest();
+    testTools.test.latLng(path.getAt(0), 7, 8);
+
+    // remove
+    $scope.path.splice(1, 2);
+    $scope.$digest();
+    expect(path.getLength()).to.be.equal(1);
+    testTools.test.latLng(path.getAt(0), 7, 8);
+
+    // new array
+    $scope.path = [[1, 2], [3, 4]];
+    $scope.$digest();
+    expect(scope.polyline.getPath() === path).to.be.equal(true);
+    expect(path.getLength()).to.be.equal(2);
+
+    expect(setPath).to.be.equal(0);
+  });
+
+  it('test incremental updates', function () {
+    var path, events = [];
+
+    $scope.path = [[1, 2], [3, 4]];
+    compile('<gm-polyline path="path"></gm-polyline>');
+    path = scope.polyline.getPath();
+    angular.forEach(['set_at', 'insert_at', 'remove_at'], function (name) {
+      googleMaps.event.addListener(path, name, function (index) {
+        events.push(name + ':' + index);
+      });
+    });
+
+    $scope.path.push([5, 6]);
+    $scope.$digest();
+    $scope.path.push([7, 8]);
+    $scope.$digest();
+    expect(events).to.be.deep.equal(['insert_at:2', 'insert_at:3']);
+  });
+
+  it('test deep watching', function () {
+    var path;
+
+    $scope.path = [[1, 2], [3, 4]];
+    compile('<gm-polyline gm-watch="deep" path="path"></gm-polyline>');
+    path = scope.polyline.getPath();
+
+    // collection watching would not notice it
+    $scope.path[1][0] = 5;
+    $scope.$digest();
+    expect(scope.polyline.getPath() === path).to.be.equal(true);
+    testTools.test.latLng(path.getAt(1), 5, 4);
+  });
+
+  it('test reference watching', function () {
+    var path;
+
+    $scope.path = [[1, 2], [3, 4]];
+    compile('<gm-polyline gm-watch="reference" path="path"></gm-polyline>');
+    path = scope.polyline.getPath();
+
+    $scope.path.push([5, 6]);
+    $scope.$digest();
+    expect(path.getLength()).to.be.equal(2);
+
+    $scope.path = [[5, 6]];
+    $scope.$digest();
+    expect(scope.polyline.getPath() === path).to.be.equal(false);
+    testTools.test.latLng(scope.polyline.getPath().getAt(0), 5, 6);
+  });
+
   it('test events', function () {
 
     $scope.data = {
@@ -115,6 +115,42 @@ describe('Provider', function () {
 
   });
 
+  it('tests required libraries', function () {
+
+    var scripts, src;
+
+    provider.configure({
+      url: 'http://url',
+      libraries: ['test'],
+      callback: '__callback'
+    });
+
+    gmLibrary = provider.$get[6]($document, $window, $rootScope, $q, $parse, $timeout);
+
+    expect(gmLibrary.require('visualization')).to.be.equal(true);
+    expect(gmLibrary.require('visualization')).to.be.equal(true);
+    expect(gmLibrary.require('test')).to.be.equal(true);
+
+    gmLibrary.load();
+
+    scripts = $document.find("body").find("script");
+    src = scripts.eq(scripts.length - 1).attr("src");
+
+    expect(src.split('libraries=')[1]).to.be.equal('test,visualization');
+
+    // too late to be added to the script
+    expect(gmLibrary.require('places')).to.be.equal(false);
+    expect(gmLibrary.require('visualization')).to.be.equal(true);
+
+    $window.google = $window.mokeGoogle;
+    $window.__callback();
+    $rootScope.$digest();
+
+    // clean for next test
+    delete $window.google;
+
+  });
+
   it('tests library already loaded', function () {
 
     // pre-inject google library (user may have set it by its own in the head section)
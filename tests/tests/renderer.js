@@ -72,4 +72,111 @@ describe('gmDirections', function () {
     }, 10);
   });
 
+  it('test dragged route write back', function (done) {
+    compile('<gm-renderer options="{draggable: true}"></gm-renderer>');
+
+    setTimeout(function() {
+      var directionsScope = element.parent().scope(),
+        renderer,
+        dragged = {
+          routes: [{
+            legs: [
+              {via_waypoints: [new googleMaps.LatLng(1, 2)], end_location: new googleMaps.LatLng(3, 4)},
+              {via_waypoints: [new googleMaps.LatLng(5, 6), new googleMaps.LatLng(7, 8)], end_location: new googleMaps.LatLng(9, 10)}
+            ]
+          }]
+        };
+      $rootScope.$digest(); // required to get the directions promise run
+      renderer = scope.renderer;
+      expect(directionsScope.directions.waypoints).to.be.deep.equal([]);
+
+      // programmatic changes are not written back
+      googleMaps.event.trigger(renderer, 'directions_changed');
+      expect(directionsScope.directions.result.options.origin).to.be.equal('from');
+
+      // user drag the route
+      renderer.__data.directions = dragged;
+      googleMaps.event.trigger(renderer, 'directions_changed');
+
+      expect(directionsScope.directions.result === dragged).to.be.equal(true);
+      expect(directionsScope.directions.status).to.be.equal('status');
+      expect(directionsScope.directions.loading).to.be.equal(false);
+      expect(directionsScope.directions.waypoints.length).to.be.equal(4);
+      testTools.test.latLng(directionsScope.directions.waypoints[0].location, 1, 2);
+      expect(directionsScope.directions.waypoints[0].stopover).to.be.equal(false);
+      testTools.test.latLng(directionsScope.directions.waypoints[1].location, 3, 4);
+      expect(directionsScope.directions.waypoints[1].stopover).to.be.equal(true);
+      testTools.test.latLng(directionsScope.directions.waypoints[2].location, 5, 6);
+      testTools.test.latLng(directionsScope.directions.waypoints[3].location, 7, 8);
+      expect(directionsScope.directions.waypoints[3].stopover).to.be.equal(false);
+      expect(renderer.getDirections() === dragged).to.be.equal(true);
+
+      // new request replaces the dragged route, keeping its waypoints
+      $scope.origin = 'from2';
+      $rootScope.$digest();
+      setTimeout(function() {
+        var options = renderer.getDirections().options;
+        expect(options.origin).to.be.equal('from2');
+        expect(options.waypoints.length).to.be.equal(4);
+        testTools.test.latLng(options.waypoints[0].location, 1, 2);
+        expect(options.waypoints[0].stopover).to.be.equal(false);
+        testTools.test.latLng(options.waypoints[1].location, 3, 4);
+        expect(options.waypoints[1].stopover).to.be.equal(true);
+        done();
+      }, 10);
+    }, 10);
+  });
+
+  it('test requested waypoints changes drop the dragged ones', function (done) {
+    $scope.waypoints = [[1, 1]];
+    element = $compile(
+      '<gm-map options="{center: [37, -122], zoom: 8}">' +
+        '<gm-directions origin="origin" destination="destination" travelMode="travelMode" waypoints="waypoints" options="{origin: \'from\', destination: \'to\', travelMode: \'mode\'}">' +
+          '<gm-renderer options="{draggable: true}"></gm-renderer>' +
+        '</gm-directions>' +
+      '</gm-map>')($scope);
+    $scope.$digest();
+    $timeout.flush();
+    element = element.find('gm-renderer');
+    scope = element.scope();
+
+    setTimeout(function() {
+      var renderer;
+      $rootScope.$digest(); // required to get the directions promise run
+      renderer = scope.renderer;
+      renderer.__data.directions = {routes: [{legs: [{via_waypoints: [new googleMaps.LatLng(1, 2), new googleMaps.LatLng(3, 4)]}]}]};
+      googleMaps.event.trigger(renderer, 'directions_changed');
+
+      $scope.waypoints = [[5, 5]];
+      $rootScope.$digest();
+      setTimeout(function() {
+        var options = renderer.getDirections().options;
+        expect(options.waypoints.length).to.be.equal(1);
+        testTools.test.latLng(options.waypoints[0].location, 5, 5);
+        done();
+      }, 10);
+    }, 10);
+  });
+
+  it('test drag drops pending request', function (done) {
+    compile('<gm-renderer options="{draggable: true}"></gm-renderer>');
+
+    setTimeout(function() {
+      var directionsScope = element.parent().scope(),
+        dragged = {routes: [{legs: [{via_waypoints: [], end_location: new googleMaps.LatLng(1, 2)}]}]};
+      $rootScope.$digest(); // required to get the directions promise run
+
+      $scope.origin = 'from2';
+      $rootScope.$digest();
+      scope.renderer.__data.directions = dragged;
+      googleMaps.event.trigger(scope.renderer, 'directions_changed');
+
+      setTimeout(function() {
+        expect(directionsScope.directions.result === dragged).to.be.equal(true);
+        expect(scope.renderer.getDirections() === dragged).to.be.equal(true);
+        done();
+      }, 10);
+    }, 10);
+  });
+
 });
\ No newline at end of file
@@ -0,0 +1,84 @@
+describe('gm-reverse', function () {
+
+  var $compile, $rootScope, $scope, $timeout,
+    element, scope, googleMaps;
+
+
+  //---------------------------------------------------------------------------
+  // Load Library
+  //---------------------------------------------------------------------------
+
+  testTools.mokeGMLibrary();
+
+
+  //---------------------------------------------------------------------------
+  // Inject required
+  //---------------------------------------------------------------------------
+  beforeEach(inject(function(_$rootScope_, _$timeout_, _$compile_) {
+    $rootScope = _$rootScope_;
+    $timeout = _$timeout_;
+    $compile = _$compile_;
+    $scope = $rootScope.$new();
+    $scope.delivery = {};
+    googleMaps = $rootScope.google.maps;
+  }));
+
+
+  //---------------------------------------------------------------------------
+  // TESTS
+  //---------------------------------------------------------------------------
+
+  function compile(template) {
+    element = $compile('<gm-map options="{center: [37, -122], zoom: 8}">' + template + '</gm-map>')($scope);
+    $scope.$digest();
+    $timeout.flush();
+    element = element.find('gm-marker');
+    scope = element.scope();
+  }
+
+  function drop(lat, lng) {
+    scope.marker.setPosition(new googleMaps.LatLng(lat, lng));
+    googleMaps.event.trigger(scope.marker, 'dragend');
+  }
+
+  it('test reverse geocoding on drop', function (done) {
+    compile('<gm-marker position="[1, 2]" options="{draggable: true}" gm-reverse="delivery.place"></gm-marker>');
+    expect($scope.delivery.place).to.be.an('undefined');
+
+    drop(3, 4);
+
+    setTimeout(function() {
+      $scope.$digest();
+      expect($scope.delivery.place.address).to.be.equal('3,4');
+      expect($scope.delivery.place.components.length).to.be.equal(2);
+      expect($scope.delivery.place.components[0].long_name).to.be.equal('3');
+      done();
+    }, 10);
+  });
+
+  it('test last value wins', function (done) {
+    compile('<gm-marker position="[1, 2]" options="{draggable: true}" gm-reverse="delivery.place"></gm-marker>');
+
+    drop(3, 4);
+    drop(5, 6);
+    $timeout.flush(); // release rate limited requests
+
+    setTimeout(function() {
+      $scope.$digest();
+      expect($scope.delivery.place.address).to.be.equal('5,6');
+      done();
+    }, 10);
+  });
+
+  it('test not assignable', function () {
+    var errors = [],
+      consoleError = console.error;
+    console.error = function (message) {
+      errors.push(message);
+    };
+    compile('<gm-marker position="[1, 2]" gm-reverse="\'place\'"></gm-marker>');
+    console.error = consoleError;
+    expect(errors.length).to.be.equal(1);
+  });
+
+});
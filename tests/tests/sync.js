@@ -0,0 +1,194 @@
+describe('gm-sync', function () {
+
+  var $compile, $rootScope, $scope, $timeout,
+    element, googleMaps;
+
+
+  //---------------------------------------------------------------------------
+  // Load Library
+  //---------------------------------------------------------------------------
+
+  testTools.mokeGMLibrary();
+
+
+  //---------------------------------------------------------------------------
+  // Inject required
+  //---------------------------------------------------------------------------
+  beforeEach(inject(function(_$rootScope_, _$timeout_, _$compile_) {
+    $rootScope = _$rootScope_;
+    $timeout = _$timeout_;
+    $compile = _$compile_;
+    $scope = $rootScope.$new();
+    googleMaps = $rootScope.google.maps;
+  }));
+
+
+  //---------------------------------------------------------------------------
+  // TESTS
+  //---------------------------------------------------------------------------
+
+  function compile(template, name) {
+    element = $compile('<gm-map options="{center: [37, -122], zoom: 8}">' + template + '</gm-map>')($scope);
+    $scope.$digest();
+    $timeout.flush();
+    return element.find(name).scope();
+  }
+
+  it('test marker', function () {
+    var scope;
+
+    $scope.data = {position: [1, 2]};
+    scope = compile('<gm-marker gm-sync position="data.position" options="{draggable: true}"></gm-marker>', 'gm-marker');
+
+    scope.marker.setPosition(new googleMaps.LatLng(3, 4));
+    googleMaps.event.trigger(scope.marker, 'dragend');
+    $timeout.flush();
+
+    expect($scope.data.position).to.be.deep.equal([3, 4]);
+  });
+
+  it('test marker with LatLng', function () {
+    var scope, latLng;
+
+    $scope.data = {position: new googleMaps.LatLng(1, 2)};
+    scope = compile('<gm-marker gm-sync="position" position="data.position"></gm-marker>', 'gm-marker');
+
+    latLng = new googleMaps.LatLng(3, 4);
+    scope.marker.setPosition(latLng);
+    googleMaps.event.trigger(scope.marker, 'dragend');
+    $timeout.flush();
+
+    expect($scope.data.position === latLng).to.be.equal(true);
+  });
+
+  it('test without gm-sync', function () {
+    var scope;
+
+    $scope.data = {position: [1, 2]};
+    scope = compile('<gm-marker position="data.position"></gm-marker>', 'gm-marker');
+
+    scope.marker.setPosition(new googleMaps.LatLng(3, 4));
+    googleMaps.event.trigger(scope.marker, 'dragend');
+    testTools.test.noFlush($timeout);
+
+    expect($scope.data.position).to.be.deep.equal([1, 2]);
+  });
+
+  it('test circle', function () {
+    var scope, setCenter = 0;
+
+    $scope.data = {center: {lat: 1, lng: 2}, radius: 100};
+    scope = compile('<gm-circle gm-sync center="data.center" radius="data.radius"></gm-circle>', 'gm-circle');
+
+    scope.circle.setCenter = function (center) {
+      setCenter++;
+      googleMaps.Circle.prototype.setCenter.call(this, center);
+    };
+
+    googleMaps.Circle.prototype.setCenter.call(scope.circle, new googleMaps.LatLng(3, 4));
+    scope.circle.setRadius(200);
+    googleMaps.event.trigger(scope.circle, 'center_changed');
+    googleMaps.event.trigger(scope.circle, 'radius_changed');
+    $timeout.flush();
+
+    expect($scope.data).to.be.deep.equal({center: {lat: 3, lng: 4}, radius: 200});
+
+    // written value is not set back on the circle
+    expect(setCenter).to.be.equal(0);
+  });
+
+  it('test rectangle', function () {
+    var scope;
+
+    $scope.data = {bounds: {n: 1, e: 2, s: 3, w: 4}};
+    scope = compile('<gm-rectangle gm-sync bounds="data.bounds"></gm-rectangle>', 'gm-rectangle');
+
+    scope.rectangle.setBounds(new googleMaps.LatLngBounds(new googleMaps.LatLng(7, 8), new googleMaps.LatLng(5, 6)));
+    googleMaps.event.trigger(scope.rectangle, 'bounds_changed');
+    $timeout.flush();
+
+    expect($scope.data.bounds).to.be.deep.equal({n: 5, e: 6, s: 7, w: 8});
+  });
+
+  it('test rectangle array', function () {
+    var scope;
+
+    $scope.data = {bounds: [1, 2, 3, 4]};
+    scope = compile('<gm-rectangle gm-sync bounds="data.bounds"></gm-rectangle>', 'gm-rectangle');
+
+    scope.rectangle.setBounds(new googleMaps.LatLngBounds(new googleMaps.LatLng(7, 8), new googleMaps.LatLng(5, 6)));
+    googleMaps.event.trigger(scope.rectangle, 'bounds_changed');
+    $timeout.flush();
+
+    expect($scope.data.bounds).to.be.deep.equal([5, 6, 7, 8]);
+  });
+
+  it('test polyline', function () {
+    var scope, path;
+
+    $scope.data = {path: [{lat: 1, lng: 2}, {lat: 3, lng: 4}]};
+    scope = compile('<gm-polyline gm-sync path="data.path" options="{editable: true}"></gm-polyline>', 'gm-polyline');
+    path = scope.polyline.getPath();
+
+    // model is not modified by the cast
+    expect($scope.data.path).to.be.deep.equal([{lat: 1, lng: 2}, {lat: 3, lng: 4}]);
+
+    path.setAt(0, new googleMaps.LatLng(5, 6));
+    $timeout.flush();
+    expect($scope.data.path).to.be.deep.equal([{lat: 5, lng: 6}, {lat: 3, lng: 4}]);
+
+    path.push(new googleMaps.LatLng(7, 8));
+    $timeout.flush();
+    expect($scope.data.path).to.be.deep.equal([{lat: 5, lng: 6}, {lat: 3, lng: 4}, {lat: 7, lng: 8}]);
+
+    path.removeAt(1);
+    $timeout.flush();
+    expect($scope.data.path).to.be.deep.equal([{lat: 5, lng: 6}, {lat: 7, lng: 8}]);
+
+    // path is not replaced by the write back
+    expect(scope.polyline.getPath() === path).to.be.equal(true);
+  });
+
+  it('test polyline replaced', function () {
+    var scope;
+
+    $scope.data = {path: [[1, 2], [3, 4]]};
+    scope = compile('<gm-polyline gm-sync path="data.path"></gm-polyline>', 'gm-polyline');
+
+    $scope.data.path = [[5, 6], [7, 8]];
+    $scope.$digest();
+
+    // listeners are moved on the new path
+    scope.polyline.getPath().setAt(0, new googleMaps.LatLng(9, 10));
+    $timeout.flush();
+    expect($scope.data.path).to.be.deep.equal([[9, 10], [7, 8]]);
+  });
+
+  it('test polygon', function () {
+    var scope;
+
+    $scope.data = {paths: [[1, 2], [3, 4], [5, 6]]};
+    scope = compile('<gm-polygon gm-sync paths="data.paths"></gm-polygon>', 'gm-polygon');
+
+    scope.polygon.getPaths().insertAt(1, new googleMaps.LatLng(7, 8));
+    $timeout.flush();
+    expect($scope.data.paths).to.be.deep.equal([[1, 2], [7, 8], [3, 4], [5, 6]]);
+  });
+
+  it('test polygon nested by google', function () {
+    var scope, paths;
+
+    $scope.data = {paths: [[1, 2], [3, 4], [5, 6]]};
+    scope = compile('<gm-polygon gm-sync paths="data.paths"></gm-polygon>', 'gm-polygon');
+
+    // google returns a list of paths
+    paths = new googleMaps.MVCArray([new googleMaps.MVCArray([new googleMaps.LatLng(1, 2), new googleMaps.LatLng(3, 4), new googleMaps.LatLng(5, 6)])]);
+    scope.polygon.__data.paths = paths;
+    $scope.$digest();
+
+    paths.getAt(0).removeAt(0);
+    $timeout.flush();
+    expect($scope.data.paths).to.be.deep.equal([[3, 4], [5, 6]]);
+  });
+
+});